@@ -1,14 +1,25 @@
 #!/usr/bin/env node
 
 import { Client } from '@modelcontextprotocol/sdk/client/index.js';
-import { StdioClientTransport } from '@modelcontextprotocol/sdk/client/stdio.js';
+import { StdioClientTransport, getDefaultEnvironment } from '@modelcontextprotocol/sdk/client/stdio.js';
+import {
+    CreateMessageRequestSchema,
+    ElicitRequestSchema,
+    ListRootsRequestSchema,
+    LoggingMessageNotificationSchema,
+    ResourceUpdatedNotificationSchema,
+} from '@modelcontextprotocol/sdk/types.js';
 import { spawn } from 'child_process';
+import { readFile, writeFile } from 'fs/promises';
+import { createInterface } from 'readline/promises';
 import { join, dirname } from 'path';
-import { fileURLToPath } from 'url';
+import { fileURLToPath, pathToFileURL } from 'url';
+import { validate } from '../shared/schema.js';
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = dirname(__filename);
 const serverPath = join(__dirname, 'server.js');
+const quotesPath = join(__dirname, '..', 'resources', 'quotes.json');
 
 // ANSI color codes for better output
 const colors = {
@@ -31,6 +42,107 @@ function section(title) {
     console.log('='.repeat(60));
 }
 
+// Call a list method until the server stops returning nextCursor; returns
+// every item under `key` along with the number of pages fetched
+async function listAll(list, key) {
+    const items = [];
+    let cursor;
+    let pages = 0;
+    do {
+        const result = await list(cursor === undefined ? {} : { cursor });
+        items.push(...result[key]);
+        cursor = result.nextCursor;
+        pages++;
+    } while (cursor !== undefined);
+    return { [key]: items, pages };
+}
+
+// Check a tool result's structuredContent against the tool's outputSchema
+function checkStructuredContent(tool, result) {
+    const errors = validate(tool.outputSchema, result.structuredContent);
+    if (errors.length > 0) {
+        const details = errors.map((e) => `${e.path} ${e.message}`).join('; ');
+        throw new Error(`${tool.name} returned structuredContent that does not match its outputSchema: ${details}`);
+    }
+    log(`   structuredContent: ${JSON.stringify(result.structuredContent)}`, colors.cyan);
+}
+
+// Offline stand-in for an LLM: answers sampling/createMessage with a canned
+// reply describing what it was sent, so the sampling tools run without a model
+function stubSampling({ messages, maxTokens }) {
+    const text = messages.map((message) => message.content.text || '').join('\n');
+    const opening = messages[messages.length - 1].content.text.split('\n')[0];
+    return {
+        role: 'assistant',
+        model: 'stub-model',
+        stopReason: 'endTurn',
+        content: {
+            type: 'text',
+            text: `[stub] ${messages.length} message(s), ${text.length} characters, up to ${maxTokens} tokens. Last message opens: "${opening}"`,
+        },
+    };
+}
+
+// Convert a typed answer to the type a requestedSchema property asks for;
+// undefined if it does not parse
+function parseAnswer(answer, property) {
+    if (property.type === 'number' || property.type === 'integer') {
+        const value = Number(answer);
+        if (answer === '' || !Number.isFinite(value)) return undefined;
+        return property.type === 'integer' && !Number.isInteger(value) ? undefined : value;
+    }
+    if (property.type === 'boolean') {
+        if (/^(y|yes|true)$/i.test(answer)) return true;
+        if (/^(n|no|false)$/i.test(answer)) return false;
+        return undefined;
+    }
+    if (property.enum && !property.enum.includes(answer)) return undefined;
+    return answer;
+}
+
+/**
+ * Answer elicitation/create by asking on the terminal, one field at a
+ * time. An empty answer skips an optional field and declines the request
+ * at a required one. Without a terminal, as under test.sh in CI, the
+ * fields are filled from `scriptedAnswers` instead.
+ */
+async function elicitOnTerminal({ message, requestedSchema }, scriptedAnswers) {
+    const fields = Object.entries(requestedSchema.properties);
+    const required = requestedSchema.required || [];
+    log(`   Server asks: ${message}`, colors.magenta);
+
+    if (!process.stdin.isTTY) {
+        const content = Object.fromEntries(fields.map(([name]) => [name, scriptedAnswers[name]]));
+        log(`   (no terminal, answering ${JSON.stringify(content)})`, colors.magenta);
+        return { action: 'accept', content };
+    }
+
+    const terminal = createInterface({ input: process.stdin, output: process.stdout });
+    try {
+        const content = {};
+        for (const [name, property] of fields) {
+            const choices = property.enum ? ` [${property.enum.join('/')}]` : property.type === 'boolean' ? ' [y/n]' : '';
+            const hint = property.description ? ` (${property.description})` : '';
+            for (;;) {
+                const answer = (await terminal.question(`   ${property.title || name}${hint}${choices}: `)).trim();
+                if (answer === '') {
+                    if (required.includes(name)) return { action: 'decline' };
+                    break;
+                }
+                const value = parseAnswer(answer, property);
+                if (value !== undefined) {
+                    content[name] = value;
+                    break;
+                }
+                log(`   Expected ${property.enum ? `one of ${property.enum.join(', ')}` : `a ${property.type}`}`, colors.yellow);
+            }
+        }
+        return { action: 'accept', content };
+    } finally {
+        terminal.close();
+    }
+}
+
 async function main() {
     log('\n🚀 Starting MCP Client Demo\n', colors.bright + colors.green);
 
@@ -41,10 +153,28 @@ async function main() {
             version: '1.0.0',
         },
         {
-            capabilities: {},
+            capabilities: { elicitation: {}, roots: { listChanged: true }, sampling: {} },
         }
     );
 
+    // Requests the server's sampling tools make of "our" model
+    const samplingRequests = [];
+    client.setRequestHandler(CreateMessageRequestSchema, async (request) => {
+        samplingRequests.push(request.params);
+        return stubSampling(request.params);
+    });
+
+    // Input the server asks the user for, typed on the terminal; the
+    // scripted answers stand in when there is none
+    client.setRequestHandler(ElicitRequestSchema, async (request) => {
+        return elicitOnTerminal(request.params, { city: 'Dhaka', price: 2.5, quantity: 4 });
+    });
+
+    // Directories the server's file tools may use, as an IDE would offer
+    // its open workspace
+    let roots = [{ uri: pathToFileURL(join(__dirname, '..', 'resources')).href, name: 'resources' }];
+    client.setRequestHandler(ListRootsRequestSchema, async () => ({ roots }));
+
     // Start the server process
     const serverProcess = spawn('node', [serverPath], {
         stdio: ['pipe', 'pipe', 'inherit'],
@@ -54,6 +184,13 @@ async function main() {
     const transport = new StdioClientTransport({
         command: 'node',
         args: [serverPath],
+        // A small page size so the demo has cursors to follow, and only
+        // warnings and up in the server's stderr log
+        env: {
+            ...getDefaultEnvironment(),
+            MCP_PAGE_SIZE: process.env.MCP_PAGE_SIZE || '3',
+            MCP_LOG_LEVEL: process.env.MCP_LOG_LEVEL || 'warning',
+        },
     });
 
     try {
@@ -64,7 +201,8 @@ async function main() {
 
         // ==================== LIST PROMPTS ====================
         section('📝 Available Prompts');
-        const prompts = await client.listPrompts();
+        const prompts = await listAll((params) => client.listPrompts(params), 'prompts');
+        log(`(${prompts.pages} page(s))`, colors.blue);
         prompts.prompts.forEach((prompt, index) => {
             log(`\n${index + 1}. ${prompt.name}`, colors.bright + colors.blue);
             log(`   Description: ${prompt.description}`, colors.blue);
@@ -91,9 +229,54 @@ async function main() {
             log(`  ${msg.content.text}`, colors.cyan);
         });
 
+        // Multi-message prompt with the code embedded as a resource
+        section('🎯 Testing Prompt: code-review');
+        const reviewResult = await client.getPrompt({
+            name: 'code-review',
+            arguments: {
+                language: 'Python',
+                code: 'def add(a, b):\n    return a - b',
+            },
+        });
+        reviewResult.messages.forEach((msg) => {
+            const { content } = msg;
+            const summary = content.type === 'resource'
+                ? `${content.resource.uri} (${content.resource.mimeType})`
+                : content.text.split('\n')[0];
+            log(`  [${msg.role}/${content.type}] ${summary}`, colors.cyan);
+        });
+        const embedded = reviewResult.messages[reviewResult.messages.length - 1].content;
+        if (embedded.type !== 'resource' || embedded.resource.mimeType !== 'text/x-python') {
+            throw new Error('code-review did not embed the code as a text/x-python resource');
+        }
+
+        log('\nRequesting explain-concept without its required concept:', colors.yellow);
+        try {
+            await client.getPrompt({ name: 'explain-concept', arguments: { level: 'advanced' } });
+            throw new Error('Missing required argument was accepted');
+        } catch (error) {
+            if (error.code !== -32602) throw error;
+            log(`  Rejected: ${error.message}`, colors.green);
+        }
+
+        // ==================== COMPLETIONS ====================
+        section('💡 Testing Completions');
+        const levelCompletion = await client.complete({
+            ref: { type: 'ref/prompt', name: 'explain-concept' },
+            argument: { name: 'level', value: 'in' },
+        });
+        log(`explain-concept level "in" → ${levelCompletion.completion.values.join(', ')}`, colors.green);
+
+        const authorCompletion = await client.complete({
+            ref: { type: 'ref/resource', uri: 'quotes://author/{author}' },
+            argument: { name: 'author', value: 's' },
+        });
+        log(`quotes://author/{author} "s" → ${authorCompletion.completion.values.join(', ')}`, colors.green);
+
         // ==================== LIST TOOLS ====================
         section('🔧 Available Tools');
-        const tools = await client.listTools();
+        const tools = await listAll((params) => client.listTools(params), 'tools');
+        log(`(${tools.pages} page(s))`, colors.magenta);
         tools.tools.forEach((tool, index) => {
             log(`\n${index + 1}. ${tool.name}`, colors.bright + colors.magenta);
             log(`   Description: ${tool.description}`, colors.magenta);
@@ -108,6 +291,7 @@ async function main() {
 
         // ==================== CALL TOOLS ====================
         section('⚡ Testing Tools');
+        const toolsByName = Object.fromEntries(tools.tools.map((tool) => [tool.name, tool]));
 
         // Test calculate tool
         log('\n1. Testing calculate tool (add):', colors.yellow);
@@ -120,6 +304,21 @@ async function main() {
             },
         });
         log(`   ${calcResult.content[0].text}`, colors.green);
+        checkStructuredContent(toolsByName['calculate'], calcResult);
+
+        log('\n1b. Testing calculate with an expression:', colors.yellow);
+        const exprResult = await client.callTool({
+            name: 'calculate',
+            arguments: {
+                expression: 'price * qty * (1 + rate) + 0.1 + 0.2',
+                variables: { price: '19.99', qty: 3, rate: '0.075' },
+            },
+        });
+        log(`   ${exprResult.content[0].text}`, colors.green);
+        checkStructuredContent(toolsByName['calculate'], exprResult);
+        if (exprResult.structuredContent.exact !== '64.76775') {
+            throw new Error(`Expected 64.76775, got ${exprResult.structuredContent.exact}`);
+        }
 
         // Test generate-uuid tool
         log('\n2. Testing generate-uuid tool:', colors.yellow);
@@ -128,6 +327,33 @@ async function main() {
             arguments: {},
         });
         log(`   ${uuidResult.content[0].text}`, colors.green);
+        checkStructuredContent(toolsByName['generate-uuid'], uuidResult);
+
+        log('\n2b. Testing generate-uuid batches and other ID types:', colors.yellow);
+        const v7Result = await client.callTool({ name: 'generate-uuid', arguments: { type: 'uuid-v7', count: 5 } });
+        log(`   ${v7Result.content[0].text.replace(/\n/g, '\n   ')}`, colors.green);
+        checkStructuredContent(toolsByName['generate-uuid'], v7Result);
+        // v7 IDs from one batch share a millisecond at most, and must still sort in order
+        const v7Ids = v7Result.structuredContent.ids;
+        if (v7Ids.length !== 5 || v7Ids.some((id, i) => i > 0 && v7Ids[i - 1] >= id)) {
+            throw new Error(`uuid-v7 batch is not in creation order: ${v7Ids.join(', ')}`);
+        }
+        const v5Result = await client.callTool({
+            name: 'generate-uuid',
+            arguments: { type: 'uuid-v5', namespace: 'dns', name: 'www.example.com' },
+        });
+        log(`   ${v5Result.content[0].text}`, colors.green);
+        if (v5Result.structuredContent.uuid !== '2ed6657d-e927-568b-95e1-2665a8aea6a2') {
+            throw new Error(`Unexpected uuid-v5: ${v5Result.structuredContent.uuid}`);
+        }
+        const nanoidResult = await client.callTool({
+            name: 'generate-uuid',
+            arguments: { type: 'nanoid', count: 3, size: 8, alphabet: '0123456789abcdef' },
+        });
+        log(`   ${nanoidResult.content[0].text.replace(/\n/g, '\n   ')}`, colors.green);
+        if (!nanoidResult.structuredContent.ids.every((id) => /^[0-9a-f]{8}$/.test(id))) {
+            throw new Error(`Unexpected nanoids: ${nanoidResult.structuredContent.ids.join(', ')}`);
+        }
 
         // Test get-weather tool
         log('\n3. Testing get-weather tool:', colors.yellow);
@@ -138,20 +364,283 @@ async function main() {
             },
         });
         log(`   ${weatherResult.content[0].text}`, colors.green);
+        checkStructuredContent(toolsByName['get-weather'], weatherResult);
+
+        log('\n3b. Testing get-weather with a 3-day forecast in Fahrenheit:', colors.yellow);
+        const forecastArgs = { city: 'London', units: 'F', days: 3 };
+        const forecastResult = await client.callTool({ name: 'get-weather', arguments: forecastArgs });
+        log(`   ${forecastResult.content[0].text}`, colors.green);
+        checkStructuredContent(toolsByName['get-weather'], forecastResult);
+        // The fixture backend is seeded per city, so asking again gives the same answer
+        const repeatResult = await client.callTool({ name: 'get-weather', arguments: forecastArgs });
+        if (JSON.stringify(repeatResult.structuredContent) !== JSON.stringify(forecastResult.structuredContent)) {
+            throw new Error('get-weather is not deterministic for the same city');
+        }
 
         // Test reverse-string tool
         log('\n4. Testing reverse-string tool:', colors.yellow);
         const reverseResult = await client.callTool({
             name: 'reverse-string',
             arguments: {
-                text: 'Hello MCP!',
+                text: 'Hello MCP! 👋🏽 Café',
             },
         });
         log(`   ${reverseResult.content[0].text}`, colors.green);
+        checkStructuredContent(toolsByName['reverse-string'], reverseResult);
+        // Emoji with skin tones and accented letters must survive reversal
+        if (reverseResult.structuredContent.reversed !== 'éfaC 👋🏽 !PCM olleH') {
+            throw new Error(`Unexpected reversal: ${reverseResult.structuredContent.reversed}`);
+        }
+
+        log('\n4a. Testing the text tools:', colors.yellow);
+        const textCalls = [
+            ['count-text', { text: 'Hi 👨‍👩‍👧! Two sentences.' }],
+            ['convert-case', { text: 'XMLHttpRequest handler', case: 'snake' }],
+            ['slugify', { text: 'Crème Brûlée: A Love Story!' }],
+            ['diff-text', { before: 'the quick brown fox', after: 'the slow brown fox', granularity: 'word' }],
+            ['find-replace', { text: 'John Smith, Jane Doe', pattern: '(\\w+) (\\w+)', replacement: '$2 $1' }],
+            ['encode-text', { text: 'héllo wörld', encoding: 'base64' }],
+        ];
+        const textResults = {};
+        for (const [name, args] of textCalls) {
+            const result = await client.callTool({ name, arguments: args });
+            if (result.isError) throw new Error(`${name} failed: ${result.content[0].text}`);
+            log(`   ${name}: ${result.content[0].text.replace(/\n/g, ' | ')}`, colors.green);
+            checkStructuredContent(toolsByName[name], result);
+            textResults[name] = result.structuredContent;
+        }
+        const expectedText = {
+            'count-text': textResults['count-text'].characters === 20,
+            'convert-case': textResults['convert-case'].result === 'xml_http_request_handler',
+            slugify: textResults.slugify.slug === 'creme-brulee-a-love-story',
+            'diff-text': textResults['diff-text'].diff === 'the [-quick-]{+slow+} brown fox',
+            'find-replace': textResults['find-replace'].result === 'Smith John, Doe Jane',
+        };
+        for (const [name, ok] of Object.entries(expectedText)) {
+            if (!ok) throw new Error(`${name} returned ${JSON.stringify(textResults[name])}`);
+        }
+        const decoded = await client.callTool({
+            name: 'encode-text',
+            arguments: { text: textResults['encode-text'].result, encoding: 'base64', direction: 'decode' },
+        });
+        if (decoded.structuredContent.result !== 'héllo wörld') {
+            throw new Error(`base64 round trip returned ${decoded.structuredContent.result}`);
+        }
+        // Patterns that backtrack catastrophically elsewhere run in linear time
+        const started = Date.now();
+        const redos = await client.callTool({ name: 'find-replace', arguments: { text: `${'a'.repeat(5000)}!`, pattern: '(a|a)+$' } });
+        if (redos.isError || redos.structuredContent.count !== 0) {
+            throw new Error(`(a|a)+$ returned ${JSON.stringify(redos.content)}`);
+        }
+        log(`   (a|a)+$ on 5000 a's → no match in ${Date.now() - started} ms`, colors.green);
+        const lookahead = await client.callTool({ name: 'find-replace', arguments: { text: 'ab', pattern: 'a(?=b)' } });
+        if (!lookahead.isError) throw new Error('find-replace accepted lookahead');
+        log(`   a(?=b) → ${lookahead.content[0].text}`, colors.green);
+
+        // Test run-javascript tool
+        log('\n4b. Testing run-javascript tool:', colors.yellow);
+        const runResult = await client.callTool({
+            name: 'run-javascript',
+            arguments: {
+                code: 'const squares = [1, 2, 3].map((n) => n * n); console.log("squares:", squares); squares.reduce((a, b) => a + b)',
+            },
+        });
+        log(`   ${runResult.content[0].text.replace(/\n/g, '\n   ')}`, colors.green);
+        checkStructuredContent(toolsByName['run-javascript'], runResult);
+        if (runResult.structuredContent.result !== '14') {
+            throw new Error(`Expected 14, got ${runResult.structuredContent.result}`);
+        }
+        // Runaway loops, exceptions, and attempts to reach Node.js come back as tool errors
+        for (const code of ['while (true) {}', 'null.length', 'this.constructor.constructor("return process")()']) {
+            const failed = await client.callTool({ name: 'run-javascript', arguments: { code, timeoutMs: 200 } });
+            if (!failed.isError) {
+                throw new Error(`run-javascript did not fail for: ${code}`);
+            }
+            log(`   ${code} → ${failed.structuredContent.error}`, colors.green);
+        }
+        // The error import() rejects with must not lead back to the host's Function constructor
+        const importEscape = "import('x').catch(e => e.constructor.constructor('return process')().getBuiltinModule('fs').readFileSync('/etc/hostname','utf8')).then(console.log, (e) => console.log(`blocked: ${e}`))";
+        const escaped = await client.callTool({ name: 'run-javascript', arguments: { code: importEscape } });
+        if (!escaped.structuredContent.stdout.startsWith('blocked: EvalError')) {
+            throw new Error(`run-javascript escaped through import(): ${JSON.stringify(escaped.structuredContent)}`);
+        }
+        log(`   import('x').catch(e => e.constructor.constructor(...)) → ${escaped.structuredContent.stdout.trim()}`, colors.green);
+
+        // Test argument validation
+        log('\n5. Testing argument validation (calculate with a string):', colors.yellow);
+        try {
+            await client.callTool({
+                name: 'calculate',
+                arguments: {
+                    operation: 'add',
+                    a: '5',
+                },
+            });
+            throw new Error('Invalid arguments were accepted');
+        } catch (error) {
+            if (error.code !== -32602) throw error;
+            error.data.errors.forEach((e) => {
+                log(`   Rejected: ${e.path} ${e.message}`, colors.green);
+            });
+        }
+
+        // Passing onprogress makes the SDK send a progressToken
+        log('\n6. Testing progress notifications (long-running-operation):', colors.yellow);
+        const progressUpdates = [];
+        const longResult = await client.callTool(
+            { name: 'long-running-operation', arguments: { duration: 1, steps: 4 } },
+            undefined,
+            {
+                onprogress: (update) => {
+                    progressUpdates.push(update);
+                    log(`   Progress ${update.progress}/${update.total}: ${update.message}`, colors.cyan);
+                },
+            }
+        );
+        log(`   ${longResult.content[0].text}`, colors.green);
+        checkStructuredContent(toolsByName['long-running-operation'], longResult);
+        // The SDK may drop the last update: it stops listening as soon as the
+        // response arrives, which can overtake the notification before it
+        if (progressUpdates.length < 3) {
+            throw new Error(`Expected at least 3 progress notifications, got ${progressUpdates.length}`);
+        }
+
+        // Aborting the signal makes the SDK send notifications/cancelled
+        log('\n7. Testing cancellation (long-running-operation):', colors.yellow);
+        const cancelController = new AbortController();
+        const cancelStart = Date.now();
+        try {
+            await client.callTool(
+                { name: 'long-running-operation', arguments: { duration: 10, steps: 10 } },
+                undefined,
+                {
+                    signal: cancelController.signal,
+                    onprogress: (update) => {
+                        log(`   Progress ${update.progress}/${update.total}`, colors.cyan);
+                        if (update.progress === 2) cancelController.abort('Demo cancellation');
+                    },
+                }
+            );
+            throw new Error('Cancelled call still returned a result');
+        } catch (error) {
+            if (!cancelController.signal.aborted) throw error;
+            log(`   Cancelled after ${Date.now() - cancelStart} ms: ${error.message}`, colors.green);
+        }
+
+        // Log messages for a call arrive before its response
+        log('\n8. Testing logging (logging/setLevel):', colors.yellow);
+        const logMessages = [];
+        client.setNotificationHandler(LoggingMessageNotificationSchema, (notification) => {
+            logMessages.push(notification.params);
+        });
+        await client.setLoggingLevel('debug');
+        // Skip any messages still arriving from the cancelled call
+        logMessages.length = 0;
+        await client.callTool({ name: 'long-running-operation', arguments: { duration: 0, steps: 2 } });
+        logMessages.forEach(({ level, logger, data }) => {
+            log(`   [${level}] ${logger}: ${JSON.stringify(data)}`, colors.cyan);
+        });
+        if (!logMessages.some((message) => message.level === 'debug' && message.logger === 'long-running-operation')) {
+            throw new Error('No debug log messages from long-running-operation');
+        }
+        logMessages.length = 0;
+        await client.setLoggingLevel('warning');
+        await client.callTool({ name: 'reverse-string', arguments: { text: 'quiet' } });
+        if (logMessages.length > 0) {
+            throw new Error(`Expected no log messages at level warning, got ${logMessages.length}`);
+        }
+        log('   At level warning, a successful call sends no log messages', colors.green);
+
+        // The tools ask the client's model through sampling/createMessage,
+        // which the stub above answers
+        log('\n9. Testing sampling (summarize-resource, auto-review):', colors.yellow);
+        const summary = await client.callTool({ name: 'summarize-resource', arguments: { uri: 'quotes://all' } });
+        log(`   ${summary.content[0].text}`, colors.green);
+        checkStructuredContent(toolsByName['summarize-resource'], summary);
+        if (!samplingRequests.at(-1).messages[0].content.text.includes('Steve Jobs')) {
+            throw new Error('summarize-resource did not send the resource to the model');
+        }
+
+        const review = await client.callTool({
+            name: 'auto-review',
+            arguments: { language: 'JavaScript', code: 'const total = items.reduce((a, b) => a + b);' },
+        });
+        log(`   ${review.content[0].text}`, colors.green);
+        checkStructuredContent(toolsByName['auto-review'], review);
+        const reviewMessages = samplingRequests.at(-1).messages;
+        if (!reviewMessages.every((message) => message.content.type === 'text')
+            || !reviewMessages.at(-1).content.text.includes('items.reduce')) {
+            throw new Error('auto-review did not send the rendered code-review prompt as text');
+        }
+
+        const notSummarizable = await client.callTool({ name: 'summarize-resource', arguments: { uri: 'files://quotes.json' } });
+        if (!notSummarizable.isError) {
+            throw new Error('summarize-resource accepted a files:// resource');
+        }
+        log(`   files://quotes.json → ${notSummarizable.content[0].text}`, colors.green);
+
+        // Missing input is asked for with elicitation/create, which the
+        // handler above answers on the terminal
+        log('\n10. Testing elicitation (get-weather without a city, calculate with unset variables):', colors.yellow);
+        const elicitedWeather = await client.callTool({ name: 'get-weather', arguments: {} });
+        if (elicitedWeather.isError) {
+            throw new Error(`get-weather failed: ${elicitedWeather.content[0].text}`);
+        }
+        log(`   ${elicitedWeather.content[0].text.replace(/\n/g, '\n   ')}`, colors.green);
+        checkStructuredContent(toolsByName['get-weather'], elicitedWeather);
+
+        const elicitedCalc = await client.callTool({ name: 'calculate', arguments: { expression: 'price * quantity' } });
+        if (elicitedCalc.isError) {
+            throw new Error(`calculate failed: ${elicitedCalc.content[0].text}`);
+        }
+        log(`   ${elicitedCalc.content[0].text}`, colors.green);
+        checkStructuredContent(toolsByName['calculate'], elicitedCalc);
+
+        // The file tools work inside the roots the client declares
+        log('\n11. Testing roots (list-directory, read-file, search-text, file-stat):', colors.yellow);
+        const listing = await client.callTool({ name: 'list-directory', arguments: {} });
+        log(`   ${listing.content[0].text.replace(/\n/g, '\n   ')}`, colors.green);
+        checkStructuredContent(toolsByName['list-directory'], listing);
+
+        const firstLines = await client.callTool({ name: 'read-file', arguments: { path: 'quotes.json', startLine: 1, endLine: 3 } });
+        log(`   quotes.json lines 1-3:\n   ${firstLines.content[0].text.replace(/\n/g, '\n   ')}`, colors.green);
+        checkStructuredContent(toolsByName['read-file'], firstLines);
+
+        const search = await client.callTool({ name: 'search-text', arguments: { query: 'steve jobs' } });
+        log(`   ${search.content[0].text.replace(/\n/g, '\n   ')}`, colors.green);
+        checkStructuredContent(toolsByName['search-text'], search);
+        if (search.structuredContent.matches.length === 0) {
+            throw new Error('search-text found nothing for "steve jobs"');
+        }
+        const redosSearch = await client.callTool({ name: 'search-text', arguments: { query: '(\\w|\\w)+\\d$', regex: true } });
+        if (redosSearch.isError) throw new Error(`search-text regex failed: ${redosSearch.content[0].text}`);
+        log(`   (\\w|\\w)+\\d$ → ${redosSearch.content[0].text.split('\n')[0]}`, colors.green);
+
+        const runbooksStat = await client.callTool({ name: 'file-stat', arguments: { path: 'runbooks' } });
+        checkStructuredContent(toolsByName['file-stat'], runbooksStat);
+
+        // Paths that leave the roots are refused
+        for (const path of ['../package.json', '/etc/passwd', pathToFileURL(serverPath).href]) {
+            const escaped = await client.callTool({ name: 'read-file', arguments: { path } });
+            if (!escaped.isError) {
+                throw new Error(`read-file read ${path}, which is outside the roots`);
+            }
+            log(`   ${path} → ${escaped.content[0].text}`, colors.green);
+        }
+
+        // After notifications/roots/list_changed the server asks again
+        roots = [{ uri: pathToFileURL(join(__dirname, '..', 'prompts')).href, name: 'prompts' }];
+        await client.sendRootsListChanged();
+        const newListing = await client.callTool({ name: 'list-directory', arguments: {} });
+        if (!newListing.structuredContent.entries.some((entry) => entry.name === 'code-review.md')) {
+            throw new Error('list-directory did not follow the new roots');
+        }
+        log(`   After changing roots: ${newListing.structuredContent.entries.map((entry) => entry.name).join(', ')}`, colors.green);
 
         // ==================== LIST RESOURCES ====================
         section('📚 Available Resources');
-        const resources = await client.listResources();
+        const resources = await listAll((params) => client.listResources(params), 'resources');
+        log(`(${resources.pages} page(s))`, colors.yellow);
         resources.resources.forEach((resource, index) => {
             log(`\n${index + 1}. ${resource.name}`, colors.bright + colors.yellow);
             log(`   URI: ${resource.uri}`, colors.yellow);
@@ -159,6 +648,15 @@ async function main() {
             log(`   MIME Type: ${resource.mimeType}`, colors.yellow);
         });
 
+        // ==================== LIST RESOURCE TEMPLATES ====================
+        section('🧩 Resource Templates');
+        const templates = await listAll((params) => client.listResourceTemplates(params), 'resourceTemplates');
+        templates.resourceTemplates.forEach((template, index) => {
+            log(`\n${index + 1}. ${template.name}`, colors.bright + colors.yellow);
+            log(`   URI Template: ${template.uriTemplate}`, colors.yellow);
+            log(`   Description: ${template.description}`, colors.yellow);
+        });
+
         // ==================== READ RESOURCES ====================
         section('📖 Testing Resources');
 
@@ -179,12 +677,68 @@ async function main() {
         const fact = JSON.parse(factResource.contents[0].text);
         log(`   [${fact.category.toUpperCase()}] ${fact.text}`, colors.cyan);
 
+        // Read from templates
+        log('\n3. Reading quotes://author/Steve%20Jobs:', colors.yellow);
+        const authorResource = await client.readResource({
+            uri: 'quotes://author/Steve%20Jobs',
+        });
+        JSON.parse(authorResource.contents[0].text).quotes.forEach((q) => {
+            log(`   "${q.text}"`, colors.cyan);
+        });
+
+        log('\n4. Reading facts://category/internet:', colors.yellow);
+        const categoryResource = await client.readResource({
+            uri: 'facts://category/internet',
+        });
+        JSON.parse(categoryResource.contents[0].text).facts.forEach((f) => {
+            log(`   ${f.text}`, colors.cyan);
+        });
+
+        // Read a file from the resources directory
+        log('\n5. Reading files://runbooks/restart-server.md:', colors.yellow);
+        const runbookResource = await client.readResource({
+            uri: 'files://runbooks/restart-server.md',
+        });
+        log(`   ${runbookResource.contents[0].mimeType}: ${runbookResource.contents[0].text.split('\n')[0]}`, colors.cyan);
+
+        log('\n6. Reading a path outside the resources directory:', colors.yellow);
+        try {
+            await client.readResource({ uri: 'files://..%2Fpackage.json' });
+            throw new Error('Path outside the resources directory was served');
+        } catch (error) {
+            if (error.code !== -32602) throw error;
+            log(`   Rejected: ${error.message}`, colors.green);
+        }
+
+        // ==================== SUBSCRIPTIONS ====================
+        section('🔔 Testing Resource Subscriptions');
+        const updated = new Promise((resolve, reject) => {
+            const timer = setTimeout(() => reject(new Error('No resources/updated notification received')), 3000);
+            client.setNotificationHandler(ResourceUpdatedNotificationSchema, (notification) => {
+                clearTimeout(timer);
+                resolve(notification.params.uri);
+            });
+        });
+
+        log('\n1. Subscribing to quotes://all', colors.yellow);
+        await client.subscribeResource({ uri: 'quotes://all' });
+
+        // Rewrite the file unchanged; the server reports the write all the same
+        log('2. Touching resources/quotes.json', colors.yellow);
+        await writeFile(quotesPath, await readFile(quotesPath));
+        log(`   Updated: ${await updated}`, colors.green);
+
+        await client.unsubscribeResource({ uri: 'quotes://all' });
+        log('3. Unsubscribed', colors.yellow);
+
         // ==================== SUMMARY ====================
         section('✅ Demo Complete!');
         log('\nSuccessfully demonstrated:', colors.green);
         log(`  ✓ ${prompts.prompts.length} prompts`, colors.green);
         log(`  ✓ ${tools.tools.length} tools`, colors.green);
         log(`  ✓ ${resources.resources.length} resources`, colors.green);
+        log(`  ✓ ${templates.resourceTemplates.length} resource templates`, colors.green);
+        log('  ✓ resource subscriptions', colors.green);
         log('\nAll MCP features are working correctly! 🎉\n', colors.bright + colors.green);
 
     } catch (error) {
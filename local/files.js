@@ -0,0 +1,159 @@
+/**
+ * Directory-backed resource provider for the local server.
+ *
+ * Exposes every file under a root directory as a `files://` resource,
+ * e.g. resources/runbooks/deploy.md is files://runbooks/deploy.md. Text
+ * files are served as `text`, anything else base64-encoded as `blob`.
+ * Paths that resolve outside the root, including through symlinks, are
+ * rejected.
+ */
+
+import { readdir, readFile, realpath, stat } from 'fs/promises';
+import { extname, isAbsolute, join, relative, resolve, sep } from 'path';
+import { ErrorCode, RpcError } from '../shared/registry.js';
+
+// MIME types by extension; anything missing is sniffed in detectMimeType()
+const MIME_TYPES = {
+    '.txt': 'text/plain',
+    '.md': 'text/markdown',
+    '.markdown': 'text/markdown',
+    '.csv': 'text/csv',
+    '.html': 'text/html',
+    '.htm': 'text/html',
+    '.css': 'text/css',
+    '.js': 'text/javascript',
+    '.mjs': 'text/javascript',
+    '.ts': 'text/x-typescript',
+    '.py': 'text/x-python',
+    '.sh': 'text/x-shellscript',
+    '.json': 'application/json',
+    '.xml': 'application/xml',
+    '.yaml': 'application/yaml',
+    '.yml': 'application/yaml',
+    '.toml': 'application/toml',
+    '.svg': 'image/svg+xml',
+    '.png': 'image/png',
+    '.jpg': 'image/jpeg',
+    '.jpeg': 'image/jpeg',
+    '.gif': 'image/gif',
+    '.webp': 'image/webp',
+    '.ico': 'image/x-icon',
+    '.pdf': 'application/pdf',
+    '.zip': 'application/zip',
+    '.gz': 'application/gzip',
+    '.wasm': 'application/wasm',
+    '.mp3': 'audio/mpeg',
+    '.wav': 'audio/wav',
+    '.mp4': 'video/mp4',
+};
+
+// Non-text/* types whose content is still text
+const TEXT_MIME_TYPES = new Set([
+    'application/json',
+    'application/xml',
+    'application/yaml',
+    'application/toml',
+    'image/svg+xml',
+]);
+
+function isTextMimeType(mimeType) {
+    return mimeType.startsWith('text/') || TEXT_MIME_TYPES.has(mimeType);
+}
+
+// Unknown extensions are text if they decode as UTF-8 without NUL bytes;
+// without the data to sniff, the type is left undefined
+function detectMimeType(path, data) {
+    const known = MIME_TYPES[extname(path).toLowerCase()];
+    if (known) return known;
+    if (data === undefined) return undefined;
+
+    try {
+        new TextDecoder('utf-8', { fatal: true }).decode(data);
+        return data.includes(0) ? 'application/octet-stream' : 'text/plain';
+    } catch (error) {
+        return 'application/octet-stream';
+    }
+}
+
+// Dotfiles such as .env or .DS_Store, and anything under a dot-directory, stay hidden
+function isHidden(path) {
+    return path.split(/[\\/]/).some((segment) => segment.startsWith('.') && segment !== '.' && segment !== '..');
+}
+
+// Whether `path` is `root` or lies under it; both must be resolved paths
+export function isInside(root, path) {
+    const rel = relative(root, path);
+    return rel === '' || (!rel.startsWith('..') && !isAbsolute(rel));
+}
+
+/**
+ * Create a provider for the files under `root`.
+ *
+ * @param {string} root Directory to serve
+ * @returns {{ list: () => Promise<object[]>, read: (path: string) => Promise<object | undefined> }}
+ *   `list` returns `{ path, mimeType, size }` for every file, with `/`-separated
+ *   paths relative to the root. `read` returns `{ mimeType, text }` or
+ *   `{ mimeType, blob }`, or undefined if there is no such file.
+ */
+export function createFileProvider(root) {
+    const rootPath = resolve(root);
+
+    // Resolve a relative path, refusing anything that leaves the root
+    async function resolveInside(path) {
+        const fullPath = resolve(rootPath, path);
+        if (!isInside(rootPath, fullPath)) {
+            throw new RpcError(ErrorCode.InvalidParams, `Path escapes the resource root: ${path}`);
+        }
+
+        let realPath;
+        try {
+            realPath = await realpath(fullPath);
+        } catch (error) {
+            if (error.code === 'ENOENT') return undefined;
+            throw error;
+        }
+        if (!isInside(await realpath(rootPath), realPath)) {
+            throw new RpcError(ErrorCode.InvalidParams, `Path escapes the resource root: ${path}`);
+        }
+        return realPath;
+    }
+
+    return {
+        async list() {
+            const entries = await readdir(rootPath, { recursive: true, withFileTypes: true });
+            const files = [];
+            for (const entry of entries) {
+                const fullPath = join(entry.parentPath ?? entry.path, entry.name);
+                const path = relative(rootPath, fullPath).split(sep).join('/');
+                if (isHidden(path)) continue;
+                if (!entry.isFile() && !entry.isSymbolicLink()) continue;
+
+                let realPath;
+                try {
+                    realPath = await resolveInside(path);
+                } catch (error) {
+                    // Symlinks pointing out of the root are not listed
+                    continue;
+                }
+                if (!realPath) continue;
+
+                const stats = await stat(realPath);
+                if (!stats.isFile()) continue;
+                files.push({ path, mimeType: detectMimeType(path), size: stats.size });
+            }
+            return files.sort((a, b) => a.path.localeCompare(b.path));
+        },
+
+        async read(path) {
+            if (isHidden(path)) return undefined;
+            const realPath = await resolveInside(path);
+            if (!realPath || !(await stat(realPath)).isFile()) return undefined;
+
+            const data = await readFile(realPath);
+            const mimeType = detectMimeType(path, data);
+            return isTextMimeType(mimeType)
+                ? { mimeType, text: data.toString('utf-8') }
+                : { mimeType, blob: data.toString('base64') };
+        },
+    };
+}
@@ -0,0 +1,422 @@
+/**
+ * File tools confined to the client's roots: list-directory, read-file,
+ * search-text, and file-stat.
+ *
+ * A client that declares the `roots` capability tells the server which
+ * directories it may work in, such as the workspace open in an IDE. The
+ * server asks for them with `roots/list` when a tool first needs them, and
+ * again after the client sends `notifications/roots/list_changed`. Only
+ * file:// roots are used.
+ *
+ * Paths may be absolute, file:// URIs, or relative to the first root. Each
+ * is resolved, symlinks included, and refused unless it lies inside one of
+ * the roots. Only the local server offers these tools: Workers have no
+ * filesystem.
+ */
+
+import { lstat, readdir, readFile, realpath, stat } from 'fs/promises';
+import { basename, join, resolve } from 'path';
+import { fileURLToPath } from 'url';
+import { compilePattern } from '../shared/text.js';
+import { isInside } from './files.js';
+
+// Most entries list-directory returns
+const MAX_ENTRIES = 1000;
+// Largest file read-file returns and search-text looks into
+const MAX_FILE_BYTES = 1024 * 1024;
+const DEFAULT_SEARCH_RESULTS = 100;
+const MAX_SEARCH_RESULTS = 1000;
+// Time search-text may spend before returning what it has found
+const SEARCH_TIMEOUT_MS = 5000;
+// Longest line search-text returns for a match, in characters
+const MAX_LINE_LENGTH = 500;
+// Directories search-text does not descend into
+const SKIPPED_DIRECTORIES = new Set(['.git', 'node_modules']);
+
+// Each root as `{ uri, name, path }`, where `path` is the real directory;
+// roots that are not file:// URIs or do not exist are left out
+async function resolveRoots({ roots }) {
+    const resolved = [];
+    for (const root of roots) {
+        if (!root.uri.startsWith('file://')) continue;
+        try {
+            const path = await realpath(fileURLToPath(root.uri));
+            resolved.push({ uri: root.uri, name: root.name || basename(path), path });
+        } catch (error) {
+            // Nothing to confine to
+        }
+    }
+    return resolved;
+}
+
+/**
+ * Cache of one client's roots. `get(listRoots)` calls `listRoots()` for the
+ * `roots/list` result the first time and after `invalidate()`, and resolves
+ * to the roots as `{ uri, name, path }`. A failed request is not cached.
+ */
+export function createRootsCache() {
+    let cached = null;
+
+    return {
+        get(listRoots) {
+            if (!cached) {
+                const pending = listRoots().then(resolveRoots);
+                pending.catch(() => {
+                    if (cached === pending) cached = null;
+                });
+                cached = pending;
+            }
+            return cached;
+        },
+        invalidate() {
+            cached = null;
+        },
+    };
+}
+
+// The roots for a call to tool `name`, or an error saying why there are none
+async function getRoots(context, name) {
+    if (!context.roots) {
+        throw new Error(`${name} needs the client's roots, but the client does not support roots`);
+    }
+    const roots = await context.roots();
+    if (roots.length === 0) {
+        throw new Error(`${name} needs a root, but the client has not declared any file:// roots`);
+    }
+    return roots;
+}
+
+/**
+ * Resolve `path` to its real location inside the roots. The path is
+ * checked before the filesystem is touched, so a path outside the roots is
+ * refused without looking it up, and again after following symlinks.
+ *
+ * @throws {Error} If the path is outside the roots or does not exist
+ */
+async function resolvePath(roots, path) {
+    const requested = path.startsWith('file://') ? fileURLToPath(path) : resolve(roots[0].path, path);
+    const outside = new Error(`Path is outside the client's roots: ${path}`);
+    const inRoots = (candidate) => roots.some((root) => isInside(root.path, candidate) || isInside(fileURLToPath(root.uri), candidate));
+    if (!inRoots(requested)) throw outside;
+
+    let realPath;
+    try {
+        realPath = await realpath(requested);
+    } catch (error) {
+        if (error.code === 'ENOENT') throw new Error(`No such file or directory: ${path}`);
+        throw error;
+    }
+    if (!roots.some((root) => isInside(root.path, realPath))) throw outside;
+    return realPath;
+}
+
+function entryType(stats) {
+    if (stats.isDirectory()) return 'directory';
+    if (stats.isFile()) return 'file';
+    if (stats.isSymbolicLink()) return 'symlink';
+    return 'other';
+}
+
+// UTF-8 text of `data`, or undefined if it looks binary
+function decodeText(data) {
+    if (data.includes(0)) return undefined;
+    try {
+        return new TextDecoder('utf-8', { fatal: true }).decode(data);
+    } catch (error) {
+        return undefined;
+    }
+}
+
+// Lines of `text`, without a final empty line after a trailing newline
+function splitLines(text) {
+    const lines = text.split(/\r?\n/);
+    if (lines.length > 1 && lines[lines.length - 1] === '') lines.pop();
+    return lines;
+}
+
+/**
+ * Files under `path` (or `path` itself, if a file), depth first in name
+ * order. Symlinked files are followed if they stay inside the roots;
+ * symlinked directories are not, so a link cannot loop the walk.
+ */
+async function* walkFiles(roots, path) {
+    if ((await stat(path)).isFile()) {
+        yield path;
+        return;
+    }
+    let entries;
+    try {
+        entries = await readdir(path, { withFileTypes: true });
+    } catch (error) {
+        // Unreadable directories are skipped
+        return;
+    }
+    entries.sort((a, b) => a.name.localeCompare(b.name));
+    for (const entry of entries) {
+        const fullPath = join(path, entry.name);
+        if (entry.isDirectory()) {
+            if (!SKIPPED_DIRECTORIES.has(entry.name)) yield* walkFiles(roots, fullPath);
+        } else if (entry.isFile()) {
+            yield fullPath;
+        } else if (entry.isSymbolicLink()) {
+            try {
+                const target = await resolvePath(roots, fullPath);
+                if ((await stat(target)).isFile()) yield fullPath;
+            } catch (error) {
+                // Broken, or pointing out of the roots
+            }
+        }
+    }
+}
+
+// Registry tool definitions (see createRegistry's `tools` option); they
+// need `context.roots()`, which local/server.js provides
+export const rootsTools = [
+    {
+        name: 'list-directory',
+        description: 'List the entries of a directory inside the client\'s roots',
+        inputSchema: {
+            type: 'object',
+            properties: {
+                path: { type: 'string', description: 'Directory: absolute, a file:// URI, or relative to the first root (default: the first root)' },
+            },
+        },
+        outputSchema: {
+            type: 'object',
+            properties: {
+                path: { type: 'string', description: 'Real path of the directory' },
+                entries: {
+                    type: 'array',
+                    items: {
+                        type: 'object',
+                        properties: {
+                            name: { type: 'string' },
+                            type: { type: 'string', enum: ['file', 'directory', 'symlink', 'other'] },
+                            size: { type: 'integer', description: 'Size in bytes, for files' },
+                        },
+                        required: ['name', 'type'],
+                    },
+                },
+                truncated: { type: 'boolean', description: `Whether entries past the first ${MAX_ENTRIES} were left out` },
+            },
+            required: ['path', 'entries', 'truncated'],
+        },
+        async handler({ path = '.' }, context) {
+            const directory = await resolvePath(await getRoots(context, 'list-directory'), path);
+            if (!(await stat(directory)).isDirectory()) {
+                throw new Error(`Not a directory: ${path}`);
+            }
+
+            const names = (await readdir(directory)).sort((a, b) => a.localeCompare(b));
+            const entries = [];
+            for (const name of names.slice(0, MAX_ENTRIES)) {
+                const stats = await lstat(join(directory, name));
+                const entry = { name, type: entryType(stats) };
+                if (stats.isFile()) entry.size = stats.size;
+                entries.push(entry);
+            }
+
+            const lines = entries.map(({ name, type, size }) => {
+                if (type === 'directory') return `${name}/`;
+                return size === undefined ? `${name} (${type})` : `${name} (${size} bytes)`;
+            });
+            const truncated = names.length > entries.length;
+            if (truncated) lines.push(`... and ${names.length - entries.length} more`);
+            return {
+                content: [{ type: 'text', text: `${directory}:\n${lines.join('\n') || '(empty)'}` }],
+                structuredContent: { path: directory, entries, truncated },
+            };
+        },
+    },
+    {
+        name: 'read-file',
+        description: `Read a text file inside the client's roots, optionally only a range of lines (files up to ${MAX_FILE_BYTES / 1024} KB)`,
+        inputSchema: {
+            type: 'object',
+            properties: {
+                path: { type: 'string', description: 'File: absolute, a file:// URI, or relative to the first root', minLength: 1 },
+                startLine: { type: 'integer', description: 'First line to return, from 1 (default 1)', minimum: 1 },
+                endLine: { type: 'integer', description: 'Last line to return (default: the last line)', minimum: 1 },
+            },
+            required: ['path'],
+        },
+        outputSchema: {
+            type: 'object',
+            properties: {
+                path: { type: 'string', description: 'Real path of the file' },
+                text: { type: 'string', description: 'The requested lines' },
+                startLine: { type: 'integer' },
+                endLine: { type: 'integer' },
+                totalLines: { type: 'integer' },
+            },
+            required: ['path', 'text', 'startLine', 'endLine', 'totalLines'],
+        },
+        async handler({ path, startLine = 1, endLine }, context) {
+            const file = await resolvePath(await getRoots(context, 'read-file'), path);
+            const stats = await stat(file);
+            if (!stats.isFile()) {
+                throw new Error(`Not a file: ${path}`);
+            }
+            if (stats.size > MAX_FILE_BYTES) {
+                throw new Error(`${path} is ${stats.size} bytes; read-file reads files up to ${MAX_FILE_BYTES} bytes`);
+            }
+
+            const text = decodeText(await readFile(file));
+            if (text === undefined) {
+                throw new Error(`${path} is not a UTF-8 text file`);
+            }
+            const lines = splitLines(text);
+            if (endLine !== undefined && endLine < startLine) {
+                throw new Error(`endLine ${endLine} is before startLine ${startLine}`);
+            }
+            const last = Math.min(endLine ?? lines.length, lines.length);
+            if (startLine > Math.max(last, 1)) {
+                throw new Error(`startLine ${startLine} is past the end of ${path}, which has ${lines.length} lines`);
+            }
+
+            const selected = lines.slice(startLine - 1, last).join('\n');
+            return {
+                content: [{ type: 'text', text: selected }],
+                structuredContent: { path: file, text: selected, startLine, endLine: last, totalLines: lines.length },
+            };
+        },
+    },
+    {
+        name: 'search-text',
+        description: 'Search the text files under a path inside the client\'s roots for lines matching a string or regular expression (skips .git and node_modules)',
+        inputSchema: {
+            type: 'object',
+            properties: {
+                query: { type: 'string', description: 'Text to find, or a regular expression if regex is true', minLength: 1, maxLength: 1000 },
+                path: { type: 'string', description: 'Directory or file to search (default: the first root)' },
+                regex: { type: 'boolean', description: 'Treat query as a regular expression in JavaScript syntax, matched with RE2 (no backreferences or lookaround; default false)' },
+                caseSensitive: { type: 'boolean', description: 'Match case (default false)' },
+                maxResults: {
+                    type: 'integer',
+                    description: `Most matching lines to return (default ${DEFAULT_SEARCH_RESULTS})`,
+                    minimum: 1,
+                    maximum: MAX_SEARCH_RESULTS,
+                },
+            },
+            required: ['query'],
+        },
+        outputSchema: {
+            type: 'object',
+            properties: {
+                matches: {
+                    type: 'array',
+                    items: {
+                        type: 'object',
+                        properties: {
+                            path: { type: 'string' },
+                            line: { type: 'integer', description: 'Line number, from 1' },
+                            text: { type: 'string', description: `The matching line, cut to ${MAX_LINE_LENGTH} characters` },
+                        },
+                        required: ['path', 'line', 'text'],
+                    },
+                },
+                filesSearched: { type: 'integer' },
+                truncated: { type: 'boolean', description: `Whether the search stopped at maxResults or after ${SEARCH_TIMEOUT_MS / 1000} seconds` },
+            },
+            required: ['matches', 'filesSearched', 'truncated'],
+        },
+        async handler(args, context) {
+            const { query, path = '.', regex = false, caseSensitive = false, maxResults = DEFAULT_SEARCH_RESULTS } = args;
+            const roots = await getRoots(context, 'search-text');
+            const start = await resolvePath(roots, path);
+
+            let matchesLine;
+            if (regex) {
+                let pattern;
+                try {
+                    pattern = compilePattern(query, caseSensitive ? '' : 'i');
+                } catch (error) {
+                    throw new Error(`Invalid pattern: ${error.message}`);
+                }
+                matchesLine = (line) => pattern.test(line);
+            } else {
+                const needle = caseSensitive ? query : query.toLowerCase();
+                matchesLine = (line) => (caseSensitive ? line : line.toLowerCase()).includes(needle);
+            }
+
+            const deadline = Date.now() + SEARCH_TIMEOUT_MS;
+            const matches = [];
+            let filesSearched = 0;
+            let truncated = false;
+            for await (const file of walkFiles(roots, start)) {
+                if (context.signal?.aborted) throw new Error('Cancelled');
+                if (truncated || Date.now() > deadline) {
+                    truncated = true;
+                    break;
+                }
+                let data;
+                try {
+                    if ((await stat(file)).size > MAX_FILE_BYTES) continue;
+                    data = await readFile(file);
+                } catch (error) {
+                    // Unreadable, or gone since the directory was listed
+                    continue;
+                }
+                const text = decodeText(data);
+                if (text === undefined) continue;
+
+                filesSearched++;
+                const lines = splitLines(text);
+                for (let i = 0; i < lines.length; i++) {
+                    if (!matchesLine(lines[i])) continue;
+                    if (matches.length === maxResults) {
+                        truncated = true;
+                        break;
+                    }
+                    matches.push({ path: file, line: i + 1, text: lines[i].slice(0, MAX_LINE_LENGTH) });
+                }
+            }
+
+            const summary = `${matches.length} matching line${matches.length === 1 ? '' : 's'} in ${filesSearched} files searched${truncated ? ' (stopped early)' : ''}`;
+            const lines = matches.map((match) => `${match.path}:${match.line}: ${match.text}`);
+            return {
+                content: [{ type: 'text', text: [summary, ...lines].join('\n') }],
+                structuredContent: { matches, filesSearched, truncated },
+            };
+        },
+    },
+    {
+        name: 'file-stat',
+        description: 'Get the type, size, permissions, and timestamps of a file or directory inside the client\'s roots',
+        inputSchema: {
+            type: 'object',
+            properties: {
+                path: { type: 'string', description: 'File or directory: absolute, a file:// URI, or relative to the first root', minLength: 1 },
+            },
+            required: ['path'],
+        },
+        outputSchema: {
+            type: 'object',
+            properties: {
+                path: { type: 'string', description: 'Real path, after following symlinks' },
+                type: { type: 'string', enum: ['file', 'directory', 'other'] },
+                size: { type: 'integer', description: 'Size in bytes' },
+                mode: { type: 'string', description: 'Permission bits in octal, e.g. 644' },
+                modified: { type: 'string', description: 'Last modification time (ISO 8601)' },
+                created: { type: 'string', description: 'Creation time (ISO 8601), where the filesystem records it' },
+            },
+            required: ['path', 'type', 'size', 'mode', 'modified', 'created'],
+        },
+        async handler({ path }, context) {
+            const realPath = await resolvePath(await getRoots(context, 'file-stat'), path);
+            const stats = await stat(realPath);
+            const info = {
+                path: realPath,
+                type: entryType(stats),
+                size: stats.size,
+                mode: (stats.mode & 0o777).toString(8),
+                modified: stats.mtime.toISOString(),
+                created: stats.birthtime.toISOString(),
+            };
+            return {
+                content: [{ type: 'text', text: Object.entries(info).map(([key, value]) => `${key}: ${value}`).join('\n') }],
+                structuredContent: info,
+            };
+        },
+    },
+];
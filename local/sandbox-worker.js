@@ -0,0 +1,131 @@
+/**
+ * Child process entry for the run-javascript tool (see sandbox.js).
+ *
+ * Takes `{ code, timeoutMs, maxOutput }` as its first IPC message, runs the
+ * code in a fresh V8 context, and sends a single message back:
+ * `{ stdout, stderr, durationMs }` plus either `result`, `error`, or
+ * `timedOut`. The context's global object has a null prototype and holds
+ * only the JavaScript built-ins and a console, so the code cannot reach
+ * Node.js APIs (no require, process, fs, or fetch) or any host object, and
+ * `eval`/`new Function` are disabled. `import()` rejects with an error
+ * from the context too, since a host error would hand the code the host's
+ * Function constructor.
+ */
+
+import { performance } from 'perf_hooks';
+import vm from 'vm';
+
+/**
+ * Runs inside the context (it is stringified, so it cannot close over
+ * anything here). Defines `console` and returns helpers that only ever
+ * hand strings back, so the host never touches the code's own objects,
+ * plus `importError`, which builds the error import() rejects with.
+ */
+function installConsole(global, maxOutput) {
+    const stringify = JSON.stringify;
+    const toTag = Object.prototype.toString;
+    const ContextError = Error;
+    const output = { stdout: '', stderr: '', truncated: false };
+
+    function format(value, depth, seen) {
+        if (typeof value === 'string') return depth === 0 ? value : stringify(value);
+        if (typeof value === 'bigint') return `${value}n`;
+        if (typeof value === 'symbol') return value.toString();
+        if (typeof value === 'function') return `[Function: ${value.name || '(anonymous)'}]`;
+        if (value === null || typeof value !== 'object') return String(value);
+
+        const tag = toTag.call(value);
+        if (tag === '[object Error]') return `${value.name}: ${value.message}`;
+        if (tag === '[object Date]') return Number.isNaN(value.getTime()) ? 'Invalid Date' : value.toISOString();
+        if (seen.includes(value)) return '[Circular]';
+        if (depth >= 3) return Array.isArray(value) ? '[Array]' : '[Object]';
+
+        const inner = [...seen, value];
+        if (Array.isArray(value)) {
+            return value.length === 0 ? '[]' : `[ ${value.map((item) => format(item, depth + 1, inner)).join(', ')} ]`;
+        }
+        const entries = Object.keys(value).map((key) => `${key}: ${format(value[key], depth + 1, inner)}`);
+        return entries.length === 0 ? '{}' : `{ ${entries.join(', ')} }`;
+    }
+
+    function write(stream, args) {
+        if (output.truncated) return;
+        const line = args.map((arg) => format(arg, 0, [])).join(' ') + '\n';
+        if (output.stdout.length + output.stderr.length + line.length > maxOutput) {
+            output.truncated = true;
+            output[stream] += '[output truncated]\n';
+            return;
+        }
+        output[stream] += line;
+    }
+
+    global.console = {
+        log: (...args) => write('stdout', args),
+        info: (...args) => write('stdout', args),
+        debug: (...args) => write('stdout', args),
+        warn: (...args) => write('stderr', args),
+        error: (...args) => write('stderr', args),
+    };
+
+    return {
+        format: (value) => format(value, 1, []),
+        output: () => stringify({ stdout: output.stdout, stderr: output.stderr }),
+        importError: () => new ContextError('import() is not available in the sandbox'),
+    };
+}
+
+// Values coming out of the context must be strings; anything else means
+// the code tampered with the built-ins the helpers use
+function asString(read, fallback) {
+    try {
+        const value = read();
+        return typeof value === 'string' ? value : fallback;
+    } catch (error) {
+        return fallback;
+    }
+}
+
+process.once('message', async ({ code, timeoutMs, maxOutput }) => {
+    const context = vm.createContext(Object.create(null), {
+        name: 'run-javascript',
+        codeGeneration: { strings: false, wasm: false },
+        // Run promise callbacks inside the timeout too
+        microtaskMode: 'afterEvaluate',
+    });
+    const helpers = vm.runInContext(`(${installConsole})(globalThis, ${maxOutput})`, context);
+
+    const message = {};
+    const start = performance.now();
+    try {
+        const value = vm.runInContext(code, context, {
+            filename: 'input.js',
+            timeout: timeoutMs,
+            importModuleDynamically: () => {
+                throw helpers.importError();
+            },
+        });
+        // import() settles on a later turn; run the callbacks it queued, in
+        // what is left of the time limit
+        await new Promise((resolve) => setImmediate(resolve));
+        const remaining = Math.max(1, Math.round(timeoutMs - (performance.now() - start)));
+        vm.runInContext('', context, { timeout: remaining });
+        if (value !== undefined) message.result = asString(() => helpers.format(value), '[unprintable value]');
+    } catch (error) {
+        if (error?.code === 'ERR_SCRIPT_EXECUTION_TIMEOUT') {
+            message.timedOut = true;
+        } else {
+            message.error = asString(() => helpers.format(error), 'Error: [unprintable exception]');
+        }
+    }
+    message.durationMs = Math.round(performance.now() - start);
+
+    const output = asString(() => helpers.output(), '{}');
+    try {
+        const { stdout = '', stderr = '' } = JSON.parse(output);
+        Object.assign(message, { stdout: String(stdout), stderr: String(stderr) });
+    } catch (error) {
+        Object.assign(message, { stdout: '', stderr: '' });
+    }
+
+    process.send(message);
+});
@@ -0,0 +1,166 @@
+/**
+ * The run-javascript tool: runs a snippet of JavaScript in isolation.
+ *
+ * Each call gets its own child process (sandbox-worker.js) with a V8 heap
+ * capped at `memoryMb`, and the code runs in an empty context inside it
+ * with no Node.js APIs. The process itself runs under Node's permission
+ * model with nothing granted but reading its own script, so code that
+ * escapes the context still cannot touch the filesystem, spawn processes
+ * or threads, or load addons. The context enforces `timeoutMs` on the
+ * code itself; a watchdog here kills the whole process if it overruns
+ * anyway, e.g. while printing a value with a runaway getter.
+ *
+ * Only the local server offers this tool: Workers cannot spawn processes or
+ * create contexts.
+ */
+
+import { fork } from 'child_process';
+import { fileURLToPath } from 'url';
+
+const WORKER_FILE = fileURLToPath(new URL('./sandbox-worker.js', import.meta.url));
+// Node 20 only has the experimental spelling of the flag
+const PERMISSION_FLAG = process.allowedNodeEnvironmentFlags.has('--permission') ? '--permission' : '--experimental-permission';
+
+const DEFAULT_TIMEOUT_MS = 1000;
+const DEFAULT_MEMORY_MB = 64;
+// Total stdout and stderr kept per run, in characters
+const MAX_OUTPUT = 64 * 1024;
+// Time the watchdog allows on top of timeoutMs for the worker to start and report
+const WATCHDOG_GRACE_MS = 2000;
+// Tail of the worker's stderr kept to tell a V8 out-of-memory abort from a crash
+const MAX_STDERR = 4096;
+
+/**
+ * Run `code` in a fresh worker process, killing it if `signal` aborts.
+ *
+ * @returns {Promise<{ stdout: string, stderr: string, durationMs: number, result?: string, error?: string, timedOut?: true, outOfMemory?: true }>}
+ *   `result` is the completion value of the script, formatted as text
+ */
+export function runJavaScript(code, { timeoutMs = DEFAULT_TIMEOUT_MS, memoryMb = DEFAULT_MEMORY_MB, signal } = {}) {
+    return new Promise((resolve, reject) => {
+        const worker = fork(WORKER_FILE, [], {
+            execArgv: [
+                PERMISSION_FLAG,
+                `--allow-fs-read=${WORKER_FILE}`,
+                `--max-old-space-size=${memoryMb}`,
+                // Lets the worker answer import() with an error of the context's own
+                '--experimental-vm-modules',
+                '--no-warnings',
+            ],
+            env: {},
+            // Keep the worker off the server's stdout, which may be the stdio transport
+            stdio: ['ignore', 'ignore', 'pipe', 'ipc'],
+            serialization: 'advanced',
+        });
+        const start = Date.now();
+        let settled = false;
+        let stderr = '';
+        worker.stderr.on('data', (chunk) => {
+            stderr = (stderr + chunk).slice(-MAX_STDERR);
+        });
+
+        const finish = (outcome) => {
+            if (settled) return;
+            settled = true;
+            clearTimeout(watchdog);
+            worker.kill('SIGKILL');
+            resolve({ stdout: '', stderr: '', durationMs: Date.now() - start, ...outcome });
+        };
+
+        const watchdog = setTimeout(() => finish({ timedOut: true }), timeoutMs + WATCHDOG_GRACE_MS);
+
+        const fail = (error) => {
+            if (settled) return;
+            settled = true;
+            clearTimeout(watchdog);
+            worker.kill('SIGKILL');
+            reject(error);
+        };
+
+        // A cancelled call stops the worker straight away
+        if (signal?.aborted) fail(new Error('Cancelled'));
+        signal?.addEventListener('abort', () => fail(new Error('Cancelled')), { once: true });
+
+        worker.once('message', finish);
+        worker.once('error', fail);
+        worker.once('exit', () => {
+            if (stderr.includes('heap out of memory')) {
+                finish({ outOfMemory: true });
+            } else {
+                fail(new Error('Sandbox exited without a result'));
+            }
+        });
+        worker.send({ code, timeoutMs, maxOutput: MAX_OUTPUT });
+    });
+}
+
+// Text block for a tool result, with the captured output after the outcome
+function describeRun(headline, { stdout, stderr }) {
+    let text = headline;
+    if (stdout) text += `\n\nstdout:\n${stdout.trimEnd()}`;
+    if (stderr) text += `\n\nstderr:\n${stderr.trimEnd()}`;
+    return [{ type: 'text', text }];
+}
+
+// Registry tool definition (see createRegistry's `tools` option)
+export const runJavaScriptTool = {
+    name: 'run-javascript',
+    description: 'Run JavaScript in an isolated sandbox with no filesystem or network access and return its output and the value of the last expression',
+    inputSchema: {
+        type: 'object',
+        properties: {
+            code: {
+                type: 'string',
+                description: 'Script to run, e.g. "const xs = [1, 2, 3]; console.log(xs.length); xs.map((x) => x * 2)". Only JavaScript built-ins and console are available; eval and new Function are disabled',
+                minLength: 1,
+                maxLength: 100000,
+            },
+            timeoutMs: {
+                type: 'integer',
+                description: `Execution time limit in milliseconds (default ${DEFAULT_TIMEOUT_MS})`,
+                minimum: 10,
+                maximum: 10000,
+            },
+            memoryMb: {
+                type: 'integer',
+                description: `Heap limit in megabytes (default ${DEFAULT_MEMORY_MB})`,
+                minimum: 16,
+                maximum: 512,
+            },
+        },
+        required: ['code'],
+    },
+    outputSchema: {
+        type: 'object',
+        properties: {
+            result: { type: 'string', description: 'Value of the last expression, formatted as text; omitted if undefined' },
+            error: { type: 'string', description: 'Why the run failed, if it did' },
+            stdout: { type: 'string', description: 'Output of console.log, console.info, and console.debug' },
+            stderr: { type: 'string', description: 'Output of console.warn and console.error' },
+            durationMs: { type: 'number', description: 'Time taken, in milliseconds' },
+        },
+        required: ['stdout', 'stderr', 'durationMs'],
+    },
+    async handler({ code, timeoutMs = DEFAULT_TIMEOUT_MS, memoryMb = DEFAULT_MEMORY_MB }, context) {
+        const run = await runJavaScript(code, { timeoutMs, memoryMb, signal: context.signal });
+        const structuredContent = { stdout: run.stdout, stderr: run.stderr, durationMs: run.durationMs };
+
+        let error = run.error && `Uncaught ${run.error}`;
+        if (run.timedOut) error = `Execution timed out after ${timeoutMs} ms`;
+        if (run.outOfMemory) error = `Execution ran out of memory (limit ${memoryMb} MB)`;
+        await context.log('debug', { message: error ?? 'Execution finished', durationMs: run.durationMs });
+        if (error !== undefined) {
+            return {
+                content: describeRun(`Error: ${error}`, run),
+                structuredContent: { ...structuredContent, error },
+                isError: true,
+            };
+        }
+
+        if (run.result !== undefined) structuredContent.result = run.result;
+        return {
+            content: describeRun(run.result === undefined ? 'Result: undefined' : `Result: ${run.result}`, run),
+            structuredContent,
+        };
+    },
+};
@@ -2,415 +2,537 @@
 
 import { Server } from '@modelcontextprotocol/sdk/server/index.js';
 import { StdioServerTransport } from '@modelcontextprotocol/sdk/server/stdio.js';
+import { StreamableHTTPServerTransport } from '@modelcontextprotocol/sdk/server/streamableHttp.js';
+import { SSEServerTransport } from '@modelcontextprotocol/sdk/server/sse.js';
 import {
     CallToolRequestSchema,
+    CompleteRequestSchema,
     ListPromptsRequestSchema,
     GetPromptRequestSchema,
+    isInitializeRequest,
     ListResourcesRequestSchema,
+    ListResourceTemplatesRequestSchema,
     ReadResourceRequestSchema,
+    ListRootsResultSchema,
     ListToolsRequestSchema,
+    ResultSchema,
+    RootsListChangedNotificationSchema,
+    SetLevelRequestSchema,
+    SubscribeRequestSchema,
+    UnsubscribeRequestSchema,
 } from '@modelcontextprotocol/sdk/types.js';
-import { readFile } from 'fs/promises';
+import { readdir, readFile } from 'fs/promises';
+import { existsSync, readdirSync, watch } from 'fs';
+import { createServer as createHttpServer } from 'http';
 import { fileURLToPath } from 'url';
-import { dirname, join } from 'path';
-import { randomUUID } from 'crypto';
+import { dirname, join, resolve, sep } from 'path';
+import { createHash, randomUUID, timingSafeEqual } from 'crypto';
+import { createRegistry, fileUri } from '../shared/registry.js';
+import { createLogger, isLogLevel } from '../shared/logging.js';
+import { parsePrompt } from '../shared/prompts.js';
+import { createWeatherProvider } from '../shared/weather.js';
+import { createFileProvider } from './files.js';
+import { runJavaScriptTool } from './sandbox.js';
+import { createRootsCache, rootsTools } from './roots.js';
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = dirname(__filename);
+// Directory served as resources; MCP_RESOURCES_DIR points it elsewhere
+const RESOURCES_DIR = process.env.MCP_RESOURCES_DIR
+    ? resolve(process.env.MCP_RESOURCES_DIR)
+    : join(__dirname, '..', 'resources');
+const PROMPTS_DIR = join(__dirname, '..', 'prompts');
+// Minimum level written to stderr (default info); see shared/logging.js
+const LOG_LEVEL = process.env.MCP_LOG_LEVEL || undefined;
+// Bearer tokens accepted over HTTP, comma-separated like the Worker's secret
+const AUTH_TOKENS = splitList(process.env.MCP_AUTH_TOKENS);
+// Hostnames accepted in Host and Origin headers besides loopback and --host
+const ALLOWED_HOSTS = splitList(process.env.MCP_ALLOWED_HOSTS);
+const LOOPBACK_HOSTS = ['localhost', '127.0.0.1', '::1'];
+const WILDCARD_HOSTS = ['0.0.0.0', '::', ''];
+// Streamable HTTP sessions are closed after this long without requests, as
+// on the Worker
+const SESSION_TTL_MS = 60 * 60 * 1000;
+const SESSION_SWEEP_MS = 60 * 1000;
+// Largest request body read before a session exists, the SDK's own limit
+const MAX_BODY_BYTES = 4 * 1024 * 1024;
 
-// Create MCP server instance
-const server = new Server(
-    {
-        name: 'simplest-mcp-server',
-        version: '1.0.0',
-    },
-    {
-        capabilities: {
-            prompts: {},
-            resources: {},
-            tools: {},
-        },
-    }
-);
-
-// Define prompts
-const PROMPTS = {
-    'creative-writing': {
-        name: 'creative-writing',
-        description: 'A prompt template for creative writing assistance',
-        arguments: [
-            {
-                name: 'topic',
-                description: 'The topic to write about',
-                required: true,
-            },
-            {
-                name: 'style',
-                description: 'Writing style (e.g., formal, casual, poetic)',
-                required: false,
-            },
-        ],
+function splitList(value) {
+    return (value || '')
+        .split(',')
+        .map(item => item.trim())
+        .filter(Boolean);
+}
+
+// Server log, one JSON object per line on stderr since stdout may carry the
+// stdio transport
+function writeLog(entry) {
+    process.stderr.write(`${JSON.stringify(entry)}\n`);
+}
+
+// Log for the process itself, outside any session
+const log = createLogger({ clientLevel: () => undefined, write: writeLog, serverLevel: LOG_LEVEL });
+
+// Capabilities are declared once in the shared registry; this file only
+// wires them to the MCP transports.
+const registry = createRegistry({
+    // Read on every call so edited templates apply without a restart
+    async loadPrompts() {
+        const files = (await readdir(PROMPTS_DIR)).filter((file) => file.endsWith('.md')).sort();
+        return Promise.all(files.map(async (file) => {
+            return parsePrompt(await readFile(join(PROMPTS_DIR, file), 'utf-8'), file.slice(0, -3));
+        }));
     },
-    'code-review': {
-        name: 'code-review',
-        description: 'A prompt template for code review assistance',
-        arguments: [
-            {
-                name: 'language',
-                description: 'Programming language',
-                required: true,
-            },
-            {
-                name: 'code',
-                description: 'Code to review',
-                required: true,
-            },
-        ],
+    async loadQuotes() {
+        return JSON.parse(await readFile(join(RESOURCES_DIR, 'quotes.json'), 'utf-8'));
     },
-    'explain-concept': {
-        name: 'explain-concept',
-        description: 'A prompt template for explaining technical concepts',
-        arguments: [
-            {
-                name: 'concept',
-                description: 'The concept to explain',
-                required: true,
-            },
-            {
-                name: 'level',
-                description: 'Expertise level (beginner, intermediate, advanced)',
-                required: false,
-            },
-        ],
+    async loadFacts() {
+        return JSON.parse(await readFile(join(RESOURCES_DIR, 'facts.json'), 'utf-8'));
     },
+    // WEATHER_BACKEND=open-meteo for live data; see shared/weather.js
+    weather: createWeatherProvider({
+        backend: process.env.WEATHER_BACKEND || undefined,
+        baseUrl: process.env.WEATHER_BASE_URL,
+        geocodingUrl: process.env.WEATHER_GEOCODING_URL,
+        async loadDataset() {
+            return JSON.parse(await readFile(join(RESOURCES_DIR, 'weather.json'), 'utf-8'));
+        },
+    }),
+    files: createFileProvider(RESOURCES_DIR),
+}, {
+    // Items per page of list results
+    pageSize: Number(process.env.MCP_PAGE_SIZE) || undefined,
+    // Need child processes or a filesystem, so only this server offers them
+    tools: [runJavaScriptTool, ...rootsTools],
+});
+
+// URI scheme served from each data file, for change notifications
+const DATA_FILE_SCHEMES = {
+    'quotes.json': 'quotes://',
+    'facts.json': 'facts://',
 };
 
-// List available prompts
-server.setRequestHandler(ListPromptsRequestSchema, async () => {
-    return {
-        prompts: Object.values(PROMPTS),
-    };
-});
+// Listeners for changes under RESOURCES_DIR, one per connected server
+const resourceListeners = new Set();
+let resourceWatcher = null;
 
-// Get specific prompt
-server.setRequestHandler(GetPromptRequestSchema, async (request) => {
-    const promptName = request.params.name;
-    const prompt = PROMPTS[promptName];
+/**
+ * Watch RESOURCES_DIR recursively and report `{ type, file }` changes to
+ * every listener, where type is 'added', 'removed', or 'changed' and file
+ * is a `/`-separated relative path. Events are debounced per file since
+ * editors and fs.watch both fire several per save.
+ */
+function watchResources() {
+    if (resourceWatcher) return;
 
-    if (!prompt) {
-        throw new Error(`Prompt not found: ${promptName}`);
-    }
+    const toPath = (file) => file.split(sep).join('/');
+    const knownFiles = new Set(readdirSync(RESOURCES_DIR, { recursive: true }).map(toPath));
+    const pending = new Map();
 
-    const args = request.params.arguments || {};
+    resourceWatcher = watch(RESOURCES_DIR, { persistent: false, recursive: true }, (eventType, name) => {
+        if (!name) return;
+        const file = toPath(name);
+        clearTimeout(pending.get(file));
+        pending.set(file, setTimeout(() => {
+            pending.delete(file);
 
-    let messages = [];
+            const exists = existsSync(join(RESOURCES_DIR, file));
+            let type = 'changed';
+            if (exists && !knownFiles.has(file)) {
+                type = 'added';
+                knownFiles.add(file);
+            } else if (!exists && knownFiles.has(file)) {
+                type = 'removed';
+                knownFiles.delete(file);
+            } else if (!exists) {
+                return;
+            }
 
-    if (promptName === 'creative-writing') {
-        const topic = args.topic || 'general';
-        const style = args.style || 'casual';
-        messages = [
-            {
-                role: 'user',
-                content: {
-                    type: 'text',
-                    text: `Write a creative piece about "${topic}" in a ${style} style. Be imaginative and engaging.`,
-                },
-            },
-        ];
-    } else if (promptName === 'code-review') {
-        const language = args.language || 'JavaScript';
-        const code = args.code || '// No code provided';
-        messages = [
-            {
-                role: 'user',
-                content: {
-                    type: 'text',
-                    text: `Please review this ${language} code:\n\n${code}\n\nProvide feedback on:\n1. Code quality\n2. Best practices\n3. Potential bugs\n4. Suggestions for improvement`,
-                },
-            },
-        ];
-    } else if (promptName === 'explain-concept') {
-        const concept = args.concept || 'programming';
-        const level = args.level || 'beginner';
-        messages = [
-            {
-                role: 'user',
-                content: {
-                    type: 'text',
-                    text: `Explain the concept of "${concept}" for a ${level} level audience. Use clear examples and analogies.`,
-                },
+            for (const listener of resourceListeners) listener({ type, file });
+        }, 100));
+    });
+}
+
+// Create an MCP server instance. Each instance serves one client: stdio
+// mode creates a single one, HTTP mode one per session.
+function createServer() {
+    const server = new Server(
+        {
+            name: 'simplest-mcp-server',
+            version: '1.0.0',
+        },
+        {
+            capabilities: {
+                completions: {},
+                logging: {},
+                prompts: {},
+                resources: { subscribe: true, listChanged: true },
+                tools: {},
             },
-        ];
-    }
+        }
+    );
 
-    return {
-        messages,
-    };
-});
+    // Per-session scratch space for tool handlers
+    const toolState = {};
 
-// List available tools
-server.setRequestHandler(ListToolsRequestSchema, async () => {
-    return {
-        tools: [
-            {
-                name: 'calculate',
-                description: 'Perform basic arithmetic calculations',
-                inputSchema: {
-                    type: 'object',
-                    properties: {
-                        operation: {
-                            type: 'string',
-                            description: 'The operation to perform: add, subtract, multiply, divide',
-                            enum: ['add', 'subtract', 'multiply', 'divide'],
-                        },
-                        a: {
-                            type: 'number',
-                            description: 'First number',
-                        },
-                        b: {
-                            type: 'number',
-                            description: 'Second number',
-                        },
-                    },
-                    required: ['operation', 'a', 'b'],
-                },
-            },
-            {
-                name: 'generate-uuid',
-                description: 'Generate a random UUID',
-                inputSchema: {
-                    type: 'object',
-                    properties: {},
-                },
-            },
-            {
-                name: 'get-weather',
-                description: 'Get simulated weather information for a city',
-                inputSchema: {
-                    type: 'object',
-                    properties: {
-                        city: {
-                            type: 'string',
-                            description: 'City name',
-                        },
-                    },
-                    required: ['city'],
-                },
-            },
-            {
-                name: 'reverse-string',
-                description: 'Reverse a given string',
-                inputSchema: {
-                    type: 'object',
-                    properties: {
-                        text: {
-                            type: 'string',
-                            description: 'Text to reverse',
-                        },
-                    },
-                    required: ['text'],
-                },
-            },
-        ],
+    // Level this client asked for with logging/setLevel; until then it gets
+    // every message
+    let clientLogLevel;
+
+    // Resource URIs this client has subscribed to
+    const subscriptions = new Set();
+
+    // Directories this client lets the file tools use, asked for when a
+    // tool first needs them and again after the client reports a change
+    const roots = createRootsCache();
+    server.setNotificationHandler(RootsListChangedNotificationSchema, async () => {
+        roots.invalidate();
+        await log('debug', 'roots', { message: 'Client roots changed' });
+    });
+
+    // List available prompts
+    server.setRequestHandler(ListPromptsRequestSchema, async (request) => {
+        return registry.listPrompts(request.params?.cursor);
+    });
+
+    // Get specific prompt
+    server.setRequestHandler(GetPromptRequestSchema, async (request) => {
+        return registry.getPrompt(request.params.name, request.params.arguments);
+    });
+
+    // List available tools
+    server.setRequestHandler(ListToolsRequestSchema, async (request) => {
+        return registry.listTools(request.params?.cursor);
+    });
+
+    // Handle tool calls. The SDK aborts `extra.signal` on notifications/cancelled
+    // and drops the response of a cancelled call.
+    server.setRequestHandler(CallToolRequestSchema, async (request, extra) => {
+        return registry.callTool(request.params.name, request.params.arguments, {
+            state: toolState,
+            signal: extra.signal,
+            progressToken: request.params._meta?.progressToken,
+            notify: (notification) => extra.sendNotification(notification),
+            clientCapabilities: server.getClientCapabilities(),
+            // Results are checked by the tools that use them, so accept any
+            // result here; cancelling the call cancels the request too
+            request: (method, params) => extra.sendRequest({ method, params }, ResultSchema, { signal: extra.signal }),
+            roots: server.getClientCapabilities()?.roots
+                ? () => roots.get(() => extra.sendRequest({ method: 'roots/list' }, ListRootsResultSchema, { signal: extra.signal }))
+                : undefined,
+            // Log lines go out on the same stream as the call's response
+            log: createLogger({
+                clientLevel: () => clientLogLevel,
+                notify: (notification) => extra.sendNotification(notification),
+                write: writeLog,
+                serverLevel: LOG_LEVEL,
+                fields: extra.sessionId ? { session: extra.sessionId } : {},
+            }),
+        });
+    });
+
+    // Set the minimum level of log messages sent to this client. This
+    // replaces the SDK's built-in handler so the level applies to the
+    // logger above; the SDK has already rejected unknown levels.
+    server.setRequestHandler(SetLevelRequestSchema, async (request) => {
+        clientLogLevel = request.params.level;
+        return {};
+    });
+
+    // List available resources
+    server.setRequestHandler(ListResourcesRequestSchema, async (request) => {
+        return registry.listResources(request.params?.cursor);
+    });
+
+    // List resource templates
+    server.setRequestHandler(ListResourceTemplatesRequestSchema, async (request) => {
+        return registry.listResourceTemplates(request.params?.cursor);
+    });
+
+    // Read resources
+    server.setRequestHandler(ReadResourceRequestSchema, async (request) => {
+        return registry.readResource(request.params.uri);
+    });
+
+    // Subscribe to resource updates
+    server.setRequestHandler(SubscribeRequestSchema, async (request) => {
+        subscriptions.add(request.params.uri);
+        return {};
+    });
+
+    // Unsubscribe from resource updates
+    server.setRequestHandler(UnsubscribeRequestSchema, async (request) => {
+        subscriptions.delete(request.params.uri);
+        return {};
+    });
+
+    // Complete prompt arguments and resource template variables
+    server.setRequestHandler(CompleteRequestSchema, async (request) => {
+        return registry.complete(request.params.ref, request.params.argument);
+    });
+
+    // Notify this client about changes under resources/
+    const onResourceChange = ({ type, file }) => {
+        if (type !== 'changed') {
+            server.sendResourceListChanged().catch(() => {});
+        }
+
+        const scheme = DATA_FILE_SCHEMES[file];
+        for (const uri of subscriptions) {
+            if (uri === fileUri(file) || (scheme && uri.startsWith(scheme))) {
+                server.sendResourceUpdated({ uri }).catch(() => {});
+            }
+        }
     };
-});
+    resourceListeners.add(onResourceChange);
+    server.onclose = () => resourceListeners.delete(onResourceChange);
+    watchResources();
+
+    return server;
+}
 
-// Handle tool calls
-server.setRequestHandler(CallToolRequestSchema, async (request) => {
-    const { name, arguments: args } = request.params;
+function sendJsonError(res, status, message, { code = -32600, headers = {} } = {}) {
+    res.writeHead(status, { 'Content-Type': 'application/json', ...headers });
+    res.end(JSON.stringify({ jsonrpc: '2.0', id: null, error: { code, message } }));
+}
 
+async function readJsonBody(req) {
+    const chunks = [];
+    let size = 0;
+    for await (const chunk of req) {
+        size += chunk.length;
+        if (size > MAX_BODY_BYTES) {
+            throw new Error('Request body too large');
+        }
+        chunks.push(chunk);
+    }
+    return JSON.parse(Buffer.concat(chunks).toString('utf8'));
+}
+
+function isLoopback(host) {
+    return LOOPBACK_HOSTS.includes(host) || /^127\./.test(host);
+}
+
+// Hostname of a Host header or Origin URL, without port or IPv6 brackets
+function hostnameOf(value) {
     try {
-        if (name === 'calculate') {
-            const { operation, a, b } = args;
-            let result;
-
-            switch (operation) {
-                case 'add':
-                    result = a + b;
-                    break;
-                case 'subtract':
-                    result = a - b;
-                    break;
-                case 'multiply':
-                    result = a * b;
-                    break;
-                case 'divide':
-                    if (b === 0) {
-                        throw new Error('Division by zero');
-                    }
-                    result = a / b;
-                    break;
-                default:
-                    throw new Error(`Unknown operation: ${operation}`);
-            }
+        const url = new URL(value.includes('://') ? value : `http://${value}`);
+        return url.hostname.replace(/^\[(.*)\]$/, '$1');
+    } catch {
+        return null;
+    }
+}
 
-            return {
-                content: [
-                    {
-                        type: 'text',
-                        text: `Result: ${a} ${operation} ${b} = ${result}`,
-                    },
-                ],
-            };
-        } else if (name === 'generate-uuid') {
-            const uuid = randomUUID();
-            return {
-                content: [
-                    {
-                        type: 'text',
-                        text: `Generated UUID: ${uuid}`,
-                    },
-                ],
-            };
-        } else if (name === 'get-weather') {
-            const { city } = args;
-            // Simulated weather data
-            const conditions = ['Sunny', 'Cloudy', 'Rainy', 'Partly Cloudy', 'Windy'];
-            const condition = conditions[Math.floor(Math.random() * conditions.length)];
-            const temperature = Math.floor(Math.random() * 30) + 10; // 10-40°C
-
-            return {
-                content: [
-                    {
-                        type: 'text',
-                        text: `Weather in ${city}:\nCondition: ${condition}\nTemperature: ${temperature}°C\n(Note: This is simulated data)`,
-                    },
-                ],
-            };
-        } else if (name === 'reverse-string') {
-            const { text } = args;
-            const reversed = text.split('').reverse().join('');
-            return {
-                content: [
-                    {
-                        type: 'text',
-                        text: `Original: ${text}\nReversed: ${reversed}`,
-                    },
-                ],
-            };
-        } else {
-            throw new Error(`Unknown tool: ${name}`);
+// Compare digests so the time taken does not depend on where the strings differ
+function tokensEqual(a, b) {
+    const digest = value => createHash('sha256').update(value).digest();
+    return timingSafeEqual(digest(a), digest(b));
+}
+
+/**
+ * Reject requests a browser could be tricked into sending: a Host header
+ * other than the bound address guards against DNS rebinding, and an Origin
+ * from another site against cross-site requests. When tokens are configured
+ * every request must also carry one of them.
+ *
+ * @returns {boolean} Whether the request may proceed; otherwise the response has been sent
+ */
+function checkRequest(req, res, allowedHosts, anyHost) {
+    const host = hostnameOf(req.headers.host || '');
+    if (!anyHost && !allowedHosts.has(host)) {
+        sendJsonError(res, 403, 'Host not allowed');
+        return false;
+    }
+
+    const origin = req.headers.origin;
+    if (origin !== undefined && !allowedHosts.has(hostnameOf(origin))) {
+        sendJsonError(res, 403, 'Origin not allowed');
+        return false;
+    }
+
+    if (AUTH_TOKENS.length > 0) {
+        const match = (req.headers.authorization || '').match(/^Bearer\s+(.+)$/i);
+        const token = match && match[1].trim();
+        if (!token || !AUTH_TOKENS.some(candidate => tokensEqual(token, candidate))) {
+            const message = token ? 'Invalid bearer token' : 'Missing bearer token';
+            const error = token ? ', error="invalid_token"' : '';
+            sendJsonError(res, 401, message, { headers: { 'WWW-Authenticate': `Bearer realm="simplest-mcp"${error}` } });
+            return false;
         }
-    } catch (error) {
-        return {
-            content: [
-                {
-                    type: 'text',
-                    text: `Error: ${error.message}`,
-                },
-            ],
-            isError: true,
-        };
     }
-});
 
-// List available resources
-server.setRequestHandler(ListResourcesRequestSchema, async () => {
-    return {
-        resources: [
-            {
-                uri: 'quotes://all',
-                name: 'Programming Quotes',
-                description: 'Collection of inspirational programming quotes',
-                mimeType: 'application/json',
-            },
-            {
-                uri: 'facts://all',
-                name: 'Technology Facts',
-                description: 'Interesting facts about technology and programming',
-                mimeType: 'application/json',
-            },
-            {
-                uri: 'quotes://random',
-                name: 'Random Quote',
-                description: 'Get a random programming quote',
-                mimeType: 'application/json',
-            },
-            {
-                uri: 'facts://random',
-                name: 'Random Fact',
-                description: 'Get a random technology fact',
-                mimeType: 'application/json',
-            },
-        ],
-    };
-});
+    return true;
+}
 
-// Read resources
-server.setRequestHandler(ReadResourceRequestSchema, async (request) => {
-    const uri = request.params.uri;
+/**
+ * Serve MCP over HTTP, using the same routes as the Cloudflare Worker:
+ * - Streamable HTTP on /mcp (POST, GET, DELETE with Mcp-Session-Id)
+ * - Legacy HTTP+SSE on /sse, with messages POSTed to /mcp?sessionId=
+ */
+async function startHttp(port, host) {
+    if (!isLoopback(host) && AUTH_TOKENS.length === 0) {
+        throw new Error(`Refusing to listen on ${host} without MCP_AUTH_TOKENS`);
+    }
 
-    try {
-        if (uri.startsWith('quotes://')) {
-            const quotesPath = join(__dirname, '..', 'resources', 'quotes.json');
-            const quotesData = JSON.parse(await readFile(quotesPath, 'utf-8'));
-
-            if (uri === 'quotes://all') {
-                return {
-                    contents: [
-                        {
-                            uri,
-                            mimeType: 'application/json',
-                            text: JSON.stringify(quotesData, null, 2),
-                        },
-                    ],
-                };
-            } else if (uri === 'quotes://random') {
-                const randomQuote =
-                    quotesData.quotes[Math.floor(Math.random() * quotesData.quotes.length)];
-                return {
-                    contents: [
-                        {
-                            uri,
-                            mimeType: 'application/json',
-                            text: JSON.stringify(randomQuote, null, 2),
-                        },
-                    ],
-                };
+    // A wildcard bind is reachable under any of the machine's addresses, so
+    // only the token guards it
+    const anyHost = WILDCARD_HOSTS.includes(host);
+    const allowedHosts = new Set([...LOOPBACK_HOSTS, ...ALLOWED_HOSTS]);
+    if (!anyHost) allowedHosts.add(hostnameOf(host));
+
+    // Active transports by session id, of either kind
+    const transports = new Map();
+    // Streamable HTTP sessions by id: when the last request ended and how
+    // many are still open, such as a GET stream
+    const activity = new Map();
+
+    const sweep = setInterval(() => {
+        const idleSince = Date.now() - SESSION_TTL_MS;
+        for (const [id, entry] of activity) {
+            if (entry.open === 0 && entry.lastActive < idleSince) {
+                log('info', 'http', { message: 'Session expired', sessionId: id });
+                transports.get(id)?.close().catch(() => {});
             }
-        } else if (uri.startsWith('facts://')) {
-            const factsPath = join(__dirname, '..', 'resources', 'facts.json');
-            const factsData = JSON.parse(await readFile(factsPath, 'utf-8'));
-
-            if (uri === 'facts://all') {
-                return {
-                    contents: [
-                        {
-                            uri,
-                            mimeType: 'application/json',
-                            text: JSON.stringify(factsData, null, 2),
-                        },
-                    ],
-                };
-            } else if (uri === 'facts://random') {
-                const randomFact =
-                    factsData.facts[Math.floor(Math.random() * factsData.facts.length)];
-                return {
-                    contents: [
-                        {
-                            uri,
-                            mimeType: 'application/json',
-                            text: JSON.stringify(randomFact, null, 2),
-                        },
-                    ],
+        }
+    }, SESSION_SWEEP_MS);
+    sweep.unref();
+
+    const httpServer = createHttpServer(async (req, res) => {
+        const url = new URL(req.url, 'http://localhost');
+
+        try {
+            if (!checkRequest(req, res, allowedHosts, anyHost)) {
+                return;
+            }
+
+            // Legacy SSE stream
+            if (url.pathname === '/sse' && req.method === 'GET') {
+                const transport = new SSEServerTransport('/mcp', res);
+                transports.set(transport.sessionId, transport);
+                transport.onclose = () => transports.delete(transport.sessionId);
+                await createServer().connect(transport);
+                return;
+            }
+
+            if (url.pathname !== '/mcp') {
+                res.writeHead(404).end('Not Found');
+                return;
+            }
+
+            // Legacy SSE message
+            const legacySessionId = url.searchParams.get('sessionId');
+            if (legacySessionId) {
+                const transport = transports.get(legacySessionId);
+                if (!(transport instanceof SSEServerTransport)) {
+                    sendJsonError(res, 404, 'Session not found');
+                    return;
+                }
+                await transport.handlePostMessage(req, res);
+                return;
+            }
+
+            // Streamable HTTP
+            const sessionId = req.headers['mcp-session-id'];
+            let transport = sessionId && transports.get(sessionId);
+            if (sessionId && !(transport instanceof StreamableHTTPServerTransport)) {
+                sendJsonError(res, 404, 'Session not found');
+                return;
+            }
+
+            if (!transport) {
+                // Only initialize may start a session; check before building a
+                // server for it
+                let body;
+                if (req.method === 'POST') {
+                    try {
+                        body = await readJsonBody(req);
+                    } catch {
+                        sendJsonError(res, 400, 'Parse error: Invalid JSON body', { code: -32700 });
+                        return;
+                    }
+                }
+                if (!isInitializeRequest(body)) {
+                    sendJsonError(res, 400, 'Bad Request: No valid session ID provided');
+                    return;
+                }
+
+                transport = new StreamableHTTPServerTransport({
+                    sessionIdGenerator: () => randomUUID(),
+                    onsessioninitialized: (id) => {
+                        transports.set(id, transport);
+                        activity.set(id, { lastActive: Date.now(), open: 0 });
+                    },
+                });
+                transport.onclose = () => {
+                    transports.delete(transport.sessionId);
+                    activity.delete(transport.sessionId);
                 };
+                await createServer().connect(transport);
+                await transport.handleRequest(req, res, body);
+
+                // A rejected initialize leaves a server no session refers to
+                if (!transport.sessionId) {
+                    await transport.close();
+                }
+                return;
+            }
+
+            const entry = activity.get(sessionId);
+            entry.open++;
+            res.on('close', () => {
+                entry.open--;
+                entry.lastActive = Date.now();
+            });
+            await transport.handleRequest(req, res);
+        } catch (error) {
+            await log('error', 'http', { message: 'HTTP request failed', error: error.stack || String(error) });
+            if (!res.headersSent) {
+                sendJsonError(res, 500, 'Internal server error');
             }
         }
+    });
+
+    await new Promise((resolve, reject) => {
+        httpServer.once('error', reject);
+        httpServer.listen(port, host, resolve);
+    });
+    await log('info', 'server', { message: `Simplest MCP Server running on http://${host}:${port} (Streamable HTTP: /mcp, SSE: /sse)` });
+}
 
-        throw new Error(`Resource not found: ${uri}`);
-    } catch (error) {
-        throw new Error(`Failed to read resource: ${error.message}`);
+// Parse `--http <port>` and `--host <host>`; stdio is the default
+function parseArgs(argv) {
+    const options = { http: null, host: '127.0.0.1' };
+    for (let i = 0; i < argv.length; i++) {
+        if (argv[i] === '--http') {
+            options.http = Number(argv[++i]);
+            if (!Number.isInteger(options.http) || options.http < 0 || options.http > 65535) {
+                throw new Error(`Invalid --http port: ${argv[i]}`);
+            }
+        } else if (argv[i] === '--host') {
+            options.host = argv[++i];
+        }
     }
-});
+    return options;
+}
 
 // Start the server
 async function main() {
+    const options = parseArgs(process.argv.slice(2));
+    if (LOG_LEVEL !== undefined && !isLogLevel(LOG_LEVEL)) {
+        throw new Error(`Invalid MCP_LOG_LEVEL: ${LOG_LEVEL}`);
+    }
+
+    if (options.http !== null) {
+        await startHttp(options.http, options.host);
+        return;
+    }
+
     const transport = new StdioServerTransport();
-    await server.connect(transport);
-    console.error('Simplest MCP Server running on stdio');
+    await createServer().connect(transport);
+    await log('info', 'server', { message: 'Simplest MCP Server running on stdio' });
 }
 
-main().catch((error) => {
-    console.error('Server error:', error);
+main().catch(async (error) => {
+    await log('critical', 'server', { message: 'Server failed', error: error.stack || String(error) });
     process.exit(1);
 });
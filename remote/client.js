@@ -5,10 +5,22 @@
  * 
  * This client connects to the MCP server hosted on Cloudflare Workers
  * via HTTP/JSON-RPC transport.
+ *
+ * Usage: node client.js [server-url] [--token <token>]
+ * The bearer token can also be set with the MCP_AUTH_TOKEN env var.
  */
 
+// Split `--token <token>` from the positional server URL
+const args = process.argv.slice(2);
+let AUTH_TOKEN = process.env.MCP_AUTH_TOKEN || null;
+const tokenIndex = args.indexOf('--token');
+if (tokenIndex !== -1) {
+    AUTH_TOKEN = args[tokenIndex + 1];
+    args.splice(tokenIndex, 2);
+}
+
 // Default to local worker dev server, or use provided URL
-let SERVER_URL = process.argv[2] || 'http://localhost:8787';
+let SERVER_URL = args[0] || 'http://localhost:8787';
 
 // Normalize URL: remove trailing slash and /sse suffix if present
 if (SERVER_URL.endsWith('/')) {
@@ -17,7 +29,10 @@ if (SERVER_URL.endsWith('/')) {
 if (SERVER_URL.endsWith('/sse')) {
     SERVER_URL = SERVER_URL.slice(0, -4); // Remove '/sse'
 }
-// Note: client.js uses the stateless /mcp HTTP endpoint, not SSE.
+// Note: client.js uses the Streamable HTTP /mcp endpoint with JSON responses, not SSE.
+
+// Assigned by the server in the initialize response
+let sessionId = null;
 
 
 const colors = {
@@ -40,11 +55,19 @@ function section(title) {
     console.log('='.repeat(60));
 }
 
+// Headers for every MCP request, including the session once we have one
+function mcpHeaders() {
+    const headers = { 'Content-Type': 'application/json', 'Accept': 'application/json' };
+    if (AUTH_TOKEN) headers['Authorization'] = `Bearer ${AUTH_TOKEN}`;
+    if (sessionId) headers['Mcp-Session-Id'] = sessionId;
+    return headers;
+}
+
 // JSON-RPC request helper
 async function rpcRequest(method, params = {}) {
     const response = await fetch(`${SERVER_URL}/mcp`, {
         method: 'POST',
-        headers: { 'Content-Type': 'application/json' },
+        headers: mcpHeaders(),
         body: JSON.stringify({
             jsonrpc: '2.0',
             id: Date.now(),
@@ -53,6 +76,11 @@ async function rpcRequest(method, params = {}) {
         })
     });
 
+    if (response.status === 401) {
+        throw new Error(`Unauthorized: ${response.headers.get('WWW-Authenticate')} (set MCP_AUTH_TOKEN or pass --token)`);
+    }
+    if (!sessionId) sessionId = response.headers.get('Mcp-Session-Id');
+
     const data = await response.json();
     if (data.error) {
         throw new Error(data.error.message);
@@ -60,6 +88,86 @@ async function rpcRequest(method, params = {}) {
     return data.result;
 }
 
+/**
+ * JSON-RPC request whose response is streamed over SSE. Notifications sent
+ * before the response (such as progress) are passed to
+ * `onNotification(notification, id)`. Resolves to the result, or null if
+ * the stream ends without a response, as it does for a cancelled request.
+ */
+async function rpcStream(method, params, onNotification) {
+    const id = Date.now();
+    const response = await fetch(`${SERVER_URL}/mcp`, {
+        method: 'POST',
+        headers: { ...mcpHeaders(), 'Accept': 'application/json, text/event-stream' },
+        body: JSON.stringify({ jsonrpc: '2.0', id, method, params })
+    });
+
+    const reader = response.body.pipeThrough(new TextDecoderStream()).getReader();
+    let buffer = '';
+    for (;;) {
+        const { value, done } = await reader.read();
+        if (done) return null;
+        buffer += value;
+
+        let end;
+        while ((end = buffer.indexOf('\n\n')) !== -1) {
+            const event = buffer.slice(0, end);
+            buffer = buffer.slice(end + 2);
+            const data = event.split('\n').find(line => line.startsWith('data: '));
+            if (!data) continue;
+
+            const message = JSON.parse(data.slice(6));
+            if (message.id !== id) {
+                await onNotification(message, id);
+            } else if (message.error) {
+                throw new Error(message.error.message);
+            } else {
+                return message.result;
+            }
+        }
+    }
+}
+
+// JSON-RPC notification helper (no response expected)
+async function rpcNotify(method, params = {}) {
+    await fetch(`${SERVER_URL}/mcp`, {
+        method: 'POST',
+        headers: mcpHeaders(),
+        body: JSON.stringify({ jsonrpc: '2.0', method, params })
+    });
+}
+
+// Answer a request the server sent us, such as sampling/createMessage
+async function rpcRespond(id, result) {
+    await fetch(`${SERVER_URL}/mcp`, {
+        method: 'POST',
+        headers: mcpHeaders(),
+        body: JSON.stringify({ jsonrpc: '2.0', id, result })
+    });
+}
+
+// Call a list method until the server stops returning nextCursor; returns
+// every item under `key` along with the number of pages fetched
+async function listAll(method, key) {
+    const items = [];
+    let cursor;
+    let pages = 0;
+    do {
+        const result = await rpcRequest(method, cursor === undefined ? {} : { cursor });
+        items.push(...result[key]);
+        cursor = result.nextCursor;
+        pages++;
+    } while (cursor !== undefined);
+    return { [key]: items, pages };
+}
+
+// End the session on the server
+async function terminateSession() {
+    if (!sessionId) return;
+    await fetch(`${SERVER_URL}/mcp`, { method: 'DELETE', headers: mcpHeaders() });
+    sessionId = null;
+}
+
 async function main() {
     log(`\n🚀 Remote MCP Client Demo\n`, colors.bright + colors.green);
     log(`Connecting to: ${SERVER_URL}`, colors.yellow);
@@ -72,14 +180,18 @@ async function main() {
 
         // Initialize
         const initResult = await rpcRequest('initialize', {
-            protocolVersion: '2024-11-05',
+            protocolVersion: '2025-06-18',
+            // Sampling is answered by a canned reply; see the summarize-resource call
+            capabilities: { sampling: {} },
             clientInfo: { name: 'remote-mcp-client', version: '1.0.0' }
         });
+        await rpcNotify('notifications/initialized');
         log(`Protocol: ${initResult.protocolVersion}`, colors.cyan);
+        log(`Session: ${sessionId}`, colors.cyan);
 
         // List prompts
         section('Prompts');
-        const prompts = await rpcRequest('prompts/list');
+        const prompts = await listAll('prompts/list', 'prompts');
         prompts.prompts.forEach((p, i) => {
             log(`${i + 1}. ${p.name}: ${p.description}`, colors.blue);
         });
@@ -94,7 +206,7 @@ async function main() {
 
         // List tools
         section('Tools');
-        const tools = await rpcRequest('tools/list');
+        const tools = await listAll('tools/list', 'tools');
         tools.tools.forEach((t, i) => {
             log(`${i + 1}. ${t.name}: ${t.description}`, colors.magenta);
         });
@@ -120,13 +232,83 @@ async function main() {
         });
         log(`Weather: ${weather.content[0].text}`, colors.green);
 
+        // Without a city the server would ask for one, but this client does
+        // not declare elicitation, so the call fails with an explanation
+        const noCity = await rpcRequest('tools/call', { name: 'get-weather', arguments: {} });
+        if (!noCity.isError) throw new Error('get-weather without a city did not fail');
+        log(`Weather without a city: ${noCity.content[0].text}`, colors.green);
+
+        // Progress and log messages arrive on the request's SSE stream
+        await rpcRequest('logging/setLevel', { level: 'debug' });
+        const longRunning = await rpcStream('tools/call', {
+            name: 'long-running-operation',
+            arguments: { duration: 1, steps: 4 },
+            _meta: { progressToken: 'demo-progress' }
+        }, (notification) => {
+            if (notification.method === 'notifications/message') {
+                const { level, logger, data } = notification.params;
+                log(`  [${level}] ${logger}: ${JSON.stringify(data)}`, colors.yellow);
+                return;
+            }
+            const { progress, total, message } = notification.params;
+            log(`  Progress ${progress}/${total}: ${message}`, colors.cyan);
+        });
+        log(`Long-running: ${longRunning.content[0].text}`, colors.green);
+        await rpcRequest('logging/setLevel', { level: 'warning' });
+
+        // Cancelling after the second step ends the stream without a response
+        const cancelled = await rpcStream('tools/call', {
+            name: 'long-running-operation',
+            arguments: { duration: 10, steps: 10 },
+            _meta: { progressToken: 'demo-cancel' }
+        }, async (notification, id) => {
+            if (notification.method !== 'notifications/progress') return;
+            log(`  Progress ${notification.params.progress}/${notification.params.total}`, colors.cyan);
+            if (notification.params.progress === 2) {
+                await rpcNotify('notifications/cancelled', { requestId: id, reason: 'Demo cancellation' });
+            }
+        });
+        if (cancelled !== null) throw new Error('Cancelled request still returned a result');
+        log('Cancelled long-running operation after 2 of 10 steps', colors.green);
+
+        // The server asks for a sample on the call's stream; the answer goes
+        // back in a separate POST
+        const summary = await rpcStream('tools/call', {
+            name: 'summarize-resource',
+            arguments: { uri: 'facts://category/programming' }
+        }, async (message) => {
+            if (message.method !== 'sampling/createMessage') return;
+            const prompt = message.params.messages[0].content.text;
+            log(`  Sampling request: ${prompt.split('\n')[0]}`, colors.cyan);
+            await rpcRespond(message.id, {
+                role: 'assistant',
+                model: 'stub-model',
+                content: { type: 'text', text: `[stub] Summary of ${prompt.length} characters` }
+            });
+        });
+        log(`Summary: ${summary.content[0].text}`, colors.green);
+
         // List resources
         section('Resources');
-        const resources = await rpcRequest('resources/list');
+        const resources = await listAll('resources/list', 'resources');
         resources.resources.forEach((r, i) => {
             log(`${i + 1}. ${r.name} (${r.uri})`, colors.yellow);
         });
 
+        // List resource templates
+        section('Resource Templates');
+        const templates = await listAll('resources/templates/list', 'resourceTemplates');
+        templates.resourceTemplates.forEach((t, i) => {
+            log(`${i + 1}. ${t.name} (${t.uriTemplate})`, colors.yellow);
+        });
+
+        // Complete a template variable
+        const categories = await rpcRequest('completion/complete', {
+            ref: { type: 'ref/resource', uri: 'facts://category/{category}' },
+            argument: { name: 'category', value: '' }
+        });
+        log(`Categories: ${categories.completion.values.join(', ')}`, colors.yellow);
+
         // Read resources
         section('Testing Resources');
 
@@ -138,6 +320,12 @@ async function main() {
         const factData = JSON.parse(fact.contents[0].text);
         log(`Fact: [${factData.category}] ${factData.text}`, colors.cyan);
 
+        const byId = await rpcRequest('resources/read', { uri: 'quotes://3' });
+        const byIdData = JSON.parse(byId.contents[0].text);
+        log(`Quote #3: "${byIdData.text}" - ${byIdData.author}`, colors.cyan);
+
+        await terminateSession();
+
         section('Demo Complete!');
         log(`\nAll remote MCP features working correctly!\n`, colors.bright + colors.green);
 
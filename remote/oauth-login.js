@@ -0,0 +1,149 @@
+#!/usr/bin/env node
+
+/**
+ * OAuth Login for the Remote MCP Server
+ *
+ * Runs the MCP authorization flow against the Worker the way an IDE would:
+ * discovers the authorization server from the protected resource metadata,
+ * registers a client dynamically, opens the consent page with a PKCE
+ * challenge, receives the code on a loopback redirect, and exchanges it for
+ * tokens.
+ *
+ * Usage: node oauth-login.js [server-url] [--scope "<scopes>"] [--port <port>]
+ * Then: MCP_AUTH_TOKEN=<access_token> node client.js <server-url>
+ */
+
+import { createServer } from 'http';
+import { createHash, randomBytes } from 'crypto';
+
+const args = process.argv.slice(2);
+
+// Pull `--name <value>` out of args
+function takeFlag(name) {
+    const index = args.indexOf(name);
+    if (index === -1) return null;
+    const [, value] = args.splice(index, 2);
+    return value;
+}
+
+const scope = takeFlag('--scope');
+const port = Number(takeFlag('--port') || 8976);
+const SERVER_URL = (args[0] || 'http://localhost:8787').replace(/\/$/, '').replace(/\/(sse|mcp)$/, '');
+
+const colors = {
+    reset: '\x1b[0m',
+    bright: '\x1b[1m',
+    green: '\x1b[32m',
+    yellow: '\x1b[33m',
+    cyan: '\x1b[36m',
+};
+
+function log(message, color = colors.reset) {
+    console.error(`${color}${message}${colors.reset}`);
+}
+
+function base64url(buffer) {
+    return buffer.toString('base64').replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+}
+
+async function getJson(url, init) {
+    const response = await fetch(url, init);
+    const data = await response.json();
+    if (!response.ok) {
+        throw new Error(`${url}: ${data.error || response.status} ${data.error_description || ''}`.trim());
+    }
+    return data;
+}
+
+// Wait for the authorization server to redirect the browser back to us
+function waitForRedirect(redirectUri, expectedState) {
+    return new Promise((resolve, reject) => {
+        const server = createServer((req, res) => {
+            const url = new URL(req.url, redirectUri);
+            if (url.pathname !== '/callback') {
+                res.writeHead(404).end();
+                return;
+            }
+
+            const error = url.searchParams.get('error');
+            const code = url.searchParams.get('code');
+            const state = url.searchParams.get('state');
+            res.writeHead(200, { 'Content-Type': 'text/plain' });
+            res.end(error ? `Authorization failed: ${error}` : 'Authorization complete. You can close this window.');
+            server.close();
+
+            if (error) reject(new Error(`Authorization failed: ${error}`));
+            else if (state !== expectedState) reject(new Error('State mismatch in redirect'));
+            else resolve(code);
+        });
+        server.listen(port, '127.0.0.1');
+    });
+}
+
+async function main() {
+    log(`\n🔐 OAuth login for ${SERVER_URL}\n`, colors.bright + colors.green);
+
+    // 1. Discovery
+    const resourceMetadata = await getJson(`${SERVER_URL}/.well-known/oauth-protected-resource`);
+    const issuer = resourceMetadata.authorization_servers[0];
+    const metadata = await getJson(`${issuer}/.well-known/oauth-authorization-server`);
+    log(`Authorization server: ${metadata.issuer}`, colors.cyan);
+
+    // 2. Dynamic client registration
+    const redirectUri = `http://127.0.0.1:${port}/callback`;
+    const client = await getJson(metadata.registration_endpoint, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({
+            client_name: 'simplest-mcp oauth-login',
+            redirect_uris: [redirectUri],
+            token_endpoint_auth_method: 'none',
+            ...(scope ? { scope } : {})
+        })
+    });
+    log(`Registered client: ${client.client_id}`, colors.cyan);
+
+    // 3. Authorization request with PKCE
+    const verifier = base64url(randomBytes(32));
+    const challenge = base64url(createHash('sha256').update(verifier).digest());
+    const state = base64url(randomBytes(16));
+
+    const authorizeUrl = new URL(metadata.authorization_endpoint);
+    authorizeUrl.search = new URLSearchParams({
+        response_type: 'code',
+        client_id: client.client_id,
+        redirect_uri: redirectUri,
+        code_challenge: challenge,
+        code_challenge_method: 'S256',
+        state,
+        resource: resourceMetadata.resource,
+        ...(scope ? { scope } : {})
+    }).toString();
+
+    const redirect = waitForRedirect(redirectUri, state);
+    log('\nOpen this URL in a browser and approve with an owner key:', colors.yellow);
+    log(authorizeUrl.toString(), colors.bright);
+    const code = await redirect;
+
+    // 4. Token exchange
+    const tokens = await getJson(metadata.token_endpoint, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/x-www-form-urlencoded' },
+        body: new URLSearchParams({
+            grant_type: 'authorization_code',
+            code,
+            redirect_uri: redirectUri,
+            client_id: client.client_id,
+            code_verifier: verifier
+        }).toString()
+    });
+
+    log(`\n✓ Granted scopes: ${tokens.scope} (expires in ${tokens.expires_in}s)\n`, colors.green);
+    // Tokens go to stdout so they can be captured by scripts
+    console.log(JSON.stringify(tokens, null, 2));
+}
+
+main().catch((error) => {
+    log(`\nError: ${error.message}`, '\x1b[31m');
+    process.exit(1);
+});
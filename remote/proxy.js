@@ -1,154 +1,311 @@
 #!/usr/bin/env node
 
 /**
- * Custom SSE <-> Stdio Proxy for Cloudflare Workers MCP
- * Usage: node proxy.js <sse-url>
+ * Custom HTTP <-> Stdio Proxy for Cloudflare Workers MCP
+ * Usage: node proxy.js <server-url> [--token <token>] [--verbose]
+ *
+ * A URL ending in /sse uses the legacy HTTP+SSE transport; any other URL
+ * (e.g. https://your-worker.workers.dev/mcp) uses Streamable HTTP.
+ * The bearer token can also be set with the MCP_AUTH_TOKEN env var.
+ * --verbose (or MCP_PROXY_DEBUG=1) traces traffic to stderr; stdout is
+ * reserved for the MCP messages.
  */
 
+// Split `--token <token>` and `--verbose` from the positional server URL
+const args = process.argv.slice(2);
+let authToken = process.env.MCP_AUTH_TOKEN || null;
+const tokenIndex = args.indexOf('--token');
+if (tokenIndex !== -1) {
+    authToken = args[tokenIndex + 1];
+    args.splice(tokenIndex, 2);
+}
+let verbose = Boolean(process.env.MCP_PROXY_DEBUG) && process.env.MCP_PROXY_DEBUG !== '0';
+const verboseIndex = args.indexOf('--verbose');
+if (verboseIndex !== -1) {
+    verbose = true;
+    args.splice(verboseIndex, 1);
+}
 
-// Debugging disabled for production
+// Debug trace, only in verbose mode
 function log(msg) {
-    // console.error(`[Proxy] ${msg}`); // Uncomment for stderr logging
+    if (verbose) console.error(`[Proxy] ${msg}`);
 }
 
 log("Proxy started");
 
-const sseUrl = process.argv[2];
-if (!sseUrl) {
-    log("Error: No SSE URL provided");
-    console.error("Usage: node proxy.js <sse-url>");
+const serverUrl = args[0];
+if (!serverUrl) {
+    log("Error: No server URL provided");
+    console.error("Usage: node proxy.js <server-url> [--token <token>] [--verbose]");
     process.exit(1);
 }
 
-// Derive POST URL from SSE URL (replace /sse with /mcp)
-// Initial guess, will be updated by endpoint event
-let postUrl = sseUrl.replace(/\/sse$/, '/mcp');
-log(`SSE URL: ${sseUrl}`);
-log(`POST URL: ${postUrl}`);
+// Authorization header for every request to the server
+const authHeaders = authToken ? { 'Authorization': `Bearer ${authToken}` } : {};
+
+const legacyMode = /\/sse\/?$/.test(serverUrl);
+log(`Server URL: ${serverUrl} (${legacyMode ? 'legacy SSE' : 'Streamable HTTP'})`);
 
 // Stdio Setup
 const stdin = process.stdin;
 const stdout = process.stdout;
 
-// Buffer for stdin
-let inputBuffer = '';
+// Split an SSE buffer into complete events; returns [events, remainder]
+function parseSseEvents(buffer) {
+    const chunks = buffer.split('\n\n');
+    const remainder = chunks.pop(); // Keep incomplete chunk
+    const events = chunks.map((chunk) => {
+        const event = { event: 'message', data: '' };
+        for (const line of chunk.split('\n')) {
+            if (line.startsWith('event:')) {
+                event.event = line.slice(6).trim();
+            } else if (line.startsWith('data:')) {
+                event.data += line.slice(5).replace(/^ /, '');
+            }
+        }
+        return event;
+    });
+    return [events, remainder];
+}
 
-// Handle Stdio Input (Requests from IDE)
-stdin.on('data', async (chunk) => {
-    log(`Received chunk (${chunk.length} bytes): ${JSON.stringify(chunk.toString())}`);
-    inputBuffer += chunk.toString();
+// Read an SSE response body, calling onEvent for every event
+async function readSse(response, onEvent) {
+    const reader = response.body.getReader();
+    const decoder = new TextDecoder();
+    let sseBuffer = '';
 
-    let newlineIndex;
-    while ((newlineIndex = inputBuffer.indexOf('\n')) !== -1) {
-        const line = inputBuffer.slice(0, newlineIndex);
-        inputBuffer = inputBuffer.slice(newlineIndex + 1);
+    while (true) {
+        const { value, done } = await reader.read();
+        if (done) break;
 
-        if (line.trim()) {
-            try {
-                log(`Forwarding line to ${postUrl}: ${line}`);
-                // Forward to Remote Server via POST
-                const response = await fetch(postUrl, {
-                    method: 'POST',
-                    headers: { 'Content-Type': 'application/json' },
-                    body: line
-                });
-
-                log(`Response status: ${response.status}`);
-
-                // If response has body (stateless mode), print it to stdout
-                const text = await response.text();
-                log(`Response body: ${text}`);
-                if (text && text.trim()) {
-                    stdout.write(text + '\n');
-                }
-            } catch (err) {
-                log(`Error forwarding: ${err.message}`);
-                console.error(`[Proxy] Error forwarding request: ${err.message}`);
-            }
+        sseBuffer += decoder.decode(value, { stream: true });
+        const [events, remainder] = parseSseEvents(sseBuffer);
+        sseBuffer = remainder;
+        events.forEach(onEvent);
+    }
+}
+
+// Write a JSON-RPC message from the server to the IDE
+function forwardToStdout(dataStr) {
+    if (!dataStr) return;
+    try {
+        const msg = JSON.parse(dataStr);
+        // Filter early notifications if they might confuse the IDE,
+        // or pass them if we are confident.
+        if (msg.method === 'connection/ready' || msg.method === 'server/capabilities') {
+            log(`Ignored notification: ${msg.method}`);
+            return;
         }
+    } catch (e) {
+        // ignore parse errors
     }
-});
+    stdout.write(dataStr + '\n');
+}
+
+// ==================== STREAMABLE HTTP ====================
+
+let sessionId = null;
+let protocolVersion = null;
+let notificationStreamOpen = false;
+
+function streamableHeaders(extra = {}) {
+    const headers = { ...authHeaders, ...extra };
+    if (sessionId) headers['Mcp-Session-Id'] = sessionId;
+    if (protocolVersion) headers['MCP-Protocol-Version'] = protocolVersion;
+    return headers;
+}
+
+// Remember the version an initialize result negotiated, for the MCP-Protocol-Version header
+function rememberProtocolVersion(text) {
+    try {
+        const msg = JSON.parse(text);
+        if (msg.result && msg.result.protocolVersion) protocolVersion = msg.result.protocolVersion;
+    } catch (e) {
+        // ignore parse errors
+    }
+}
+
+// Handle a POST response: JSON body, SSE stream of messages, or 202 Accepted
+async function handlePostResponse(response) {
+    const contentType = response.headers.get('Content-Type') || '';
+    if (contentType.includes('text/event-stream')) {
+        await readSse(response, (event) => {
+            if (event.event !== 'message') return;
+            rememberProtocolVersion(event.data);
+            forwardToStdout(event.data);
+        });
+        return;
+    }
+
+    const text = await response.text();
+    log(`Response body: ${text}`);
+    if (!text.trim()) return;
+
+    rememberProtocolVersion(text);
+    stdout.write(text + '\n');
+}
+
+// Open the GET stream for server-initiated messages
+async function openNotificationStream() {
+    if (notificationStreamOpen || !sessionId) return;
+    notificationStreamOpen = true;
+
+    try {
+        const response = await fetch(serverUrl, {
+            headers: streamableHeaders({ 'Accept': 'text/event-stream' })
+        });
+        if (response.status === 405) {
+            log('Server does not offer a notification stream');
+            return;
+        }
+        if (!response.ok) {
+            throw new Error(`Notification stream failed: ${response.status} ${response.statusText}`);
+        }
+        await readSse(response, (event) => {
+            if (event.event === 'message') forwardToStdout(event.data);
+        });
+    } catch (err) {
+        console.error(`[Proxy] Stream Error: ${err.message}`);
+    }
+    notificationStreamOpen = false;
+}
+
+async function forwardStreamable(line) {
+    const response = await fetch(serverUrl, {
+        method: 'POST',
+        headers: streamableHeaders({
+            'Content-Type': 'application/json',
+            'Accept': 'application/json, text/event-stream'
+        }),
+        body: line
+    });
+    log(`Response status: ${response.status}`);
+
+    if (response.status === 401) {
+        console.error(`[Proxy] Unauthorized: ${response.headers.get('WWW-Authenticate')} (set MCP_AUTH_TOKEN or pass --token)`);
+    }
+
+    const newSessionId = response.headers.get('Mcp-Session-Id');
+    if (newSessionId) {
+        sessionId = newSessionId;
+        log(`Session: ${sessionId}`);
+    }
+
+    // Consume the body without blocking the next request
+    handlePostResponse(response).catch((err) => {
+        console.error(`[Proxy] Error reading response: ${err.message}`);
+    });
+
+    if (line.includes('"notifications/initialized"')) {
+        openNotificationStream();
+    }
+}
+
+// End the session when the IDE closes stdin
+async function terminateSession() {
+    if (legacyMode || !sessionId) return;
+    try {
+        await fetch(serverUrl, { method: 'DELETE', headers: streamableHeaders() });
+    } catch (e) {
+        // Server may already be gone
+    }
+}
+
+// ==================== LEGACY HTTP+SSE ====================
+
+// POST URL announced by the endpoint event
+let postUrl = null;
+let resolveEndpoint;
+const endpointReady = new Promise((resolve) => { resolveEndpoint = resolve; });
+
+async function forwardLegacy(line) {
+    await endpointReady;
+    log(`Forwarding line to ${postUrl}: ${line}`);
+    const response = await fetch(postUrl, {
+        method: 'POST',
+        headers: { ...authHeaders, 'Content-Type': 'application/json' },
+        body: line
+    });
+
+    log(`Response status: ${response.status}`);
+
+    // Responses normally arrive on the SSE stream; print any inline body too
+    const text = await response.text();
+    log(`Response body: ${text}`);
+    if (text && text.trim()) {
+        stdout.write(text + '\n');
+    }
+}
 
 // Handle SSE Output (Events from Remote)
 async function connectSSE() {
     try {
-        const response = await fetch(sseUrl, {
+        const response = await fetch(serverUrl, {
             headers: {
+                ...authHeaders,
                 'Accept': 'text/event-stream',
                 'Cache-Control': 'no-cache'
             }
         });
 
+        if (response.status === 401) {
+            // Retrying will not help without a valid token
+            console.error(`[Proxy] Unauthorized: ${response.headers.get('WWW-Authenticate')} (set MCP_AUTH_TOKEN or pass --token)`);
+            process.exit(1);
+        }
         if (!response.ok) {
             throw new Error(`SSE connection failed: ${response.status} ${response.statusText}`);
         }
 
-        const reader = response.body.getReader();
-        const decoder = new TextDecoder();
-        let sseBuffer = '';
-
-        while (true) {
-            const { value, done } = await reader.read();
-            if (done) break;
-
-            const chunk = decoder.decode(value, { stream: true });
-            sseBuffer += chunk;
-
-            const events = sseBuffer.split('\n\n');
-            sseBuffer = events.pop(); // Keep incomplete chunk
-
-            for (const event of events) {
-                const lines = event.split('\n');
-                let isEndpointEvent = false;
-
-                for (const line of lines) {
-                    if (line.startsWith('event: ')) {
-                        const eventName = line.slice(7).trim();
-                        if (eventName === 'endpoint') {
-                            isEndpointEvent = true;
-                        }
-                    } else if (line.startsWith('data: ')) {
-                        const dataStr = line.slice(6);
-
-                        if (isEndpointEvent) {
-                            try {
-                                log(`Received endpoint event: ${dataStr}`);
-                                // Handle absolute or relative URL
-                                if (dataStr.startsWith('http')) {
-                                    postUrl = dataStr;
-                                } else if (dataStr.startsWith('/')) {
-                                    const baseUrl = new URL(sseUrl).origin;
-                                    postUrl = baseUrl + dataStr;
-                                } else {
-                                    postUrl = dataStr;
-                                }
-                                log(`Updated dynamic POST URL: ${postUrl}`);
-                                isEndpointEvent = false;
-                                continue; // Don't print to stdout
-                            } catch (e) { log(`Error parsing endpoint: ${e}`); }
-                        }
-
-                        try {
-                            const msg = JSON.parse(dataStr);
-                            // Filter early notifications if they might confuse the IDE,
-                            // or pass them if we are confident.
-                            if (msg.method === 'connection/ready' || msg.method === 'server/capabilities') {
-                                log(`Ignored notification: ${msg.method}`);
-                                continue;
-                            }
-                        } catch (e) {
-                            // ignore parse errors
-                        }
-
-                        stdout.write(dataStr + '\n');
-                    }
-                }
+        await readSse(response, (event) => {
+            if (event.event === 'endpoint') {
+                log(`Received endpoint event: ${event.data}`);
+                // Handle absolute or relative URL
+                postUrl = new URL(event.data, serverUrl).toString();
+                log(`Updated dynamic POST URL: ${postUrl}`);
+                resolveEndpoint();
+                return; // Don't print to stdout
             }
-        }
+            forwardToStdout(event.data);
+        });
     } catch (err) {
         console.error(`[Proxy] SSE Error: ${err.message}`);
         setTimeout(connectSSE, 5000); // Retry
     }
 }
 
-connectSSE();
+// ==================== STDIO ====================
+
+// Buffer for stdin
+let inputBuffer = '';
+// Forward lines in order so initialize completes before later requests
+let queue = Promise.resolve();
+
+// Handle Stdio Input (Requests from IDE)
+stdin.on('data', (chunk) => {
+    log(`Received chunk (${chunk.length} bytes): ${JSON.stringify(chunk.toString())}`);
+    inputBuffer += chunk.toString();
+
+    let newlineIndex;
+    while ((newlineIndex = inputBuffer.indexOf('\n')) !== -1) {
+        const line = inputBuffer.slice(0, newlineIndex);
+        inputBuffer = inputBuffer.slice(newlineIndex + 1);
+
+        if (line.trim()) {
+            queue = queue.then(() => (legacyMode ? forwardLegacy(line) : forwardStreamable(line))).catch((err) => {
+                log(`Error forwarding: ${err.message}`);
+                console.error(`[Proxy] Error forwarding request: ${err.message}`);
+            });
+        }
+    }
+});
+
+stdin.on('end', async () => {
+    await queue;
+    await terminateSession();
+    process.exit(0);
+});
+
+if (legacyMode) {
+    connectSSE();
+}
@@ -0,0 +1,122 @@
+/**
+ * Bearer-token authentication for the Worker's MCP endpoints.
+ *
+ * Two kinds of token are accepted:
+ * - Static tokens from the MCP_AUTH_TOKENS secret, a comma-separated list
+ *   set with `wrangler secret put MCP_AUTH_TOKENS` (or in .dev.vars for
+ *   `wrangler dev`). They carry every scope.
+ * - Access tokens issued by the OAuth flow in oauth.js, stored in the
+ *   OAUTH_KV namespace by hash and carrying the scopes granted to them.
+ *
+ * With neither configured every request is rejected.
+ */
+
+import { ErrorCode } from '../../shared/registry.js';
+import { jsonRpcError, SCOPES } from './handlers.js';
+
+const REALM = 'simplest-mcp';
+
+// KV key prefix for issued access tokens
+const ACCESS_TOKEN_PREFIX = 'token:';
+
+function configuredTokens(env) {
+    return (env.MCP_AUTH_TOKENS || '')
+        .split(',')
+        .map(token => token.trim())
+        .filter(Boolean);
+}
+
+export async function sha256Hex(value) {
+    const digest = await crypto.subtle.digest('SHA-256', new TextEncoder().encode(value));
+    return [...new Uint8Array(digest)].map(b => b.toString(16).padStart(2, '0')).join('');
+}
+
+// Compare digests so the time taken does not depend on where the strings differ
+async function tokensEqual(a, b) {
+    const [hashA, hashB] = await Promise.all([sha256Hex(a), sha256Hex(b)]);
+    let diff = 0;
+    for (let i = 0; i < hashA.length; i++) diff |= hashA.charCodeAt(i) ^ hashB.charCodeAt(i);
+    return diff === 0;
+}
+
+export async function isStaticToken(env, token) {
+    for (const candidate of configuredTokens(env)) {
+        if (await tokensEqual(token, candidate)) return true;
+    }
+    return false;
+}
+
+// KV key an access token is stored under; only the hash is ever persisted
+export async function accessTokenKey(token) {
+    return ACCESS_TOKEN_PREFIX + await sha256Hex(token);
+}
+
+// Extract the token from an `Authorization: Bearer <token>` header
+export function bearerToken(request) {
+    const header = request.headers.get('Authorization') || '';
+    const match = header.match(/^Bearer\s+(.+)$/i);
+    return match ? match[1].trim() : null;
+}
+
+/**
+ * Build a `WWW-Authenticate` challenge pointing clients at the protected
+ * resource metadata, as the MCP authorization spec requires.
+ */
+function challenge(url, params = {}) {
+    const fields = {
+        realm: REALM,
+        ...params,
+        resource_metadata: `${url.origin}/.well-known/oauth-protected-resource`
+    };
+    return 'Bearer ' + Object.entries(fields).map(([k, v]) => `${k}="${v}"`).join(', ');
+}
+
+function authErrorResponse(status, message, wwwAuthenticate) {
+    return new Response(JSON.stringify(jsonRpcError(null, ErrorCode.InvalidRequest, message)), {
+        status,
+        headers: { 'Content-Type': 'application/json', 'WWW-Authenticate': wwwAuthenticate }
+    });
+}
+
+/**
+ * Build a 401 response per RFC 6750.
+ *
+ * @param {string} [error] OAuth error code, e.g. 'invalid_token'; omitted when no credentials were sent
+ */
+export function unauthorized(url, message, error) {
+    const params = error ? { error, error_description: message } : {};
+    return authErrorResponse(401, message, challenge(url, params));
+}
+
+// Build a 403 response for a token that lacks `scope`
+export function insufficientScope(url, scope) {
+    const message = `Insufficient scope: ${scope} required`;
+    return authErrorResponse(403, message, challenge(url, { error: 'insufficient_scope', scope, error_description: message }));
+}
+
+/**
+ * Check the request's bearer token.
+ *
+ * @returns {Promise<{ scopes: string[] } | { error: Response }>} The granted scopes, or a 401 response
+ */
+export async function authenticate(request, env) {
+    const url = new URL(request.url);
+    const token = bearerToken(request);
+    if (!token) {
+        return { error: unauthorized(url, 'Missing bearer token') };
+    }
+
+    if (await isStaticToken(env, token)) {
+        return { scopes: SCOPES };
+    }
+
+    if (env.OAUTH_KV) {
+        const grant = await env.OAUTH_KV.get(await accessTokenKey(token), 'json');
+        // Tokens are bound to the server they were issued for (RFC 8707)
+        if (grant && new URL(grant.resource).origin === url.origin) {
+            return { scopes: grant.scope.split(' ') };
+        }
+    }
+
+    return { error: unauthorized(url, 'Invalid bearer token', 'invalid_token') };
+}
@@ -0,0 +1,249 @@
+/**
+ * MCP request handlers for the Worker.
+ *
+ * Maps JSON-RPC methods onto the shared registry, backed by the bundled
+ * prompt templates and the inline quotes and facts below. Handlers read
+ * and update the session state that the McpSession Durable Object
+ * persists between requests.
+ */
+
+import { createRegistry, RpcError, ErrorCode } from '../../shared/registry.js';
+import { parsePrompt } from '../../shared/prompts.js';
+import { createWeatherProvider } from '../../shared/weather.js';
+import { createLogger, isLogLevel, meetsLevel } from '../../shared/logging.js';
+import WEATHER_DATASET from '../../resources/weather.json';
+
+// Prompt templates, bundled as text (see the rules in wrangler.toml).
+// Add new files from prompts/ here.
+import codeReview from '../../prompts/code-review.md';
+import creativeWriting from '../../prompts/creative-writing.md';
+import explainConcept from '../../prompts/explain-concept.md';
+
+const PROMPTS = [
+    parsePrompt(codeReview, 'code-review'),
+    parsePrompt(creativeWriting, 'creative-writing'),
+    parsePrompt(explainConcept, 'explain-concept')
+];
+
+// Sample data (inline for Workers)
+const QUOTES = [
+    { id: 1, text: "The only way to do great work is to love what you do.", author: "Steve Jobs" },
+    { id: 2, text: "Innovation distinguishes between a leader and a follower.", author: "Steve Jobs" },
+    { id: 3, text: "Code is like humor. When you have to explain it, it's bad.", author: "Cory House" },
+    { id: 4, text: "First, solve the problem. Then, write the code.", author: "John Johnson" },
+    { id: 5, text: "Experience is the name everyone gives to their mistakes.", author: "Oscar Wilde" },
+    { id: 6, text: "The best way to predict the future is to invent it.", author: "Alan Kay" },
+    { id: 7, text: "Any fool can write code that a computer can understand. Good programmers write code that humans can understand.", author: "Martin Fowler" },
+    { id: 8, text: "Simplicity is the soul of efficiency.", author: "Austin Freeman" }
+];
+
+const FACTS = [
+    { id: 1, category: "technology", text: "The first computer bug was an actual bug - a moth trapped in a Harvard Mark II computer in 1947." },
+    { id: 2, category: "technology", text: "The first 1GB hard drive, released in 1980, weighed over 500 pounds and cost $40,000." },
+    { id: 3, category: "programming", text: "The first programming language was Fortran, developed by IBM in 1957." },
+    { id: 4, category: "internet", text: "The first email was sent by Ray Tomlinson to himself in 1971." },
+    { id: 5, category: "programming", text: "Python was named after Monty Python's Flying Circus, not the snake." },
+    { id: 6, category: "technology", text: "The first computer mouse was made of wood and was invented by Doug Engelbart in 1964." },
+    { id: 7, category: "internet", text: "The first website ever created is still online at info.cern.ch." },
+    { id: 8, category: "programming", text: "JavaScript was created in just 10 days by Brendan Eich in 1995." }
+];
+
+// Prompts, tools, and resources come from the shared registry, backed by
+// the inline data above
+const dataSource = {
+    async loadPrompts() {
+        return PROMPTS;
+    },
+    async loadQuotes() {
+        return { quotes: QUOTES };
+    },
+    async loadFacts() {
+        return { facts: FACTS };
+    }
+};
+
+// Created on first use, since the page size and weather backend come from
+// the Worker's vars (MCP_PAGE_SIZE, WEATHER_BACKEND, WEATHER_BASE_URL,
+// WEATHER_GEOCODING_URL)
+let cachedRegistry = null;
+
+function getRegistry(env = {}) {
+    if (!cachedRegistry) {
+        const weather = createWeatherProvider({
+            backend: env.WEATHER_BACKEND || undefined,
+            baseUrl: env.WEATHER_BASE_URL,
+            geocodingUrl: env.WEATHER_GEOCODING_URL,
+            async loadDataset() {
+                return WEATHER_DATASET;
+            }
+        });
+        cachedRegistry = createRegistry({ ...dataSource, weather }, { pageSize: Number(env.MCP_PAGE_SIZE) || undefined });
+    }
+    return cachedRegistry;
+}
+
+// Workers logs: one structured entry per line, on the console method of its level
+function writeLog(entry) {
+    if (meetsLevel(entry.level, 'error')) console.error(entry);
+    else if (entry.level === 'warning') console.warn(entry);
+    else console.log(entry);
+}
+
+// Logger for one request in `session`; messages go to the client through
+// `notify`, and to Workers logs from MCP_LOG_LEVEL (default info) up
+function sessionLogger(session, env, notify) {
+    return createLogger({
+        clientLevel: () => session.logLevel,
+        notify,
+        write: writeLog,
+        serverLevel: isLogLevel(env.MCP_LOG_LEVEL) ? env.MCP_LOG_LEVEL : undefined,
+        fields: { session: session.id }
+    });
+}
+
+// Protocol versions this server speaks, newest first
+export const SUPPORTED_PROTOCOL_VERSIONS = ['2025-06-18', '2025-03-26', '2024-11-05'];
+
+// OAuth scopes a token can be granted. `mcp:tools:<name>` grants a single tool.
+export const SCOPES = ['mcp:prompts', 'mcp:resources', 'mcp:tools'];
+
+// Whether `scopes` grants `scope`; `mcp:tools` covers every `mcp:tools:<name>`
+export function hasScope(scopes, scope) {
+    if (!scope || scopes.includes(scope)) return true;
+    return scope.startsWith('mcp:tools:') && scopes.includes('mcp:tools');
+}
+
+// Tools that read prompt or resource data, and the scope guarding that data
+const TOOL_DATA_SCOPES = {
+    'summarize-resource': 'mcp:resources',
+    'auto-review': 'mcp:prompts'
+};
+
+// Scopes a JSON-RPC method needs; empty if any authenticated caller may use it
+export function requiredScopes(method, params = {}) {
+    if (method.startsWith('prompts/')) return ['mcp:prompts'];
+    if (method.startsWith('resources/')) return ['mcp:resources'];
+    if (method === 'tools/call') {
+        const dataScope = Object.hasOwn(TOOL_DATA_SCOPES, params.name) ? [TOOL_DATA_SCOPES[params.name]] : [];
+        return [`mcp:tools:${params.name}`, ...dataScope];
+    }
+    if (method === 'completion/complete') return [params.ref?.type === 'ref/prompt' ? 'mcp:prompts' : 'mcp:resources'];
+    // tools/list is filtered to the tools the caller may call, and
+    // logging/setLevel only affects the caller's own session
+    return [];
+}
+
+// JSON-RPC response helper
+export function jsonRpcResponse(id, result) {
+    return { jsonrpc: '2.0', id, result };
+}
+
+export function jsonRpcError(id, code, message, data) {
+    const error = data === undefined ? { code, message } : { code, message, data };
+    return { jsonrpc: '2.0', id, error };
+}
+
+// Handle MCP requests against the session state (see session.js) for a
+// caller holding `scopes`; `env` holds the Worker's vars. `context` carries
+// the request's AbortSignal, a `notify` function for progress and log
+// messages, and a `request` function for requests to the client such as
+// sampling.
+async function handleRequest(method, params, id, session, scopes, env, context) {
+    const registry = getRegistry(env);
+    try {
+        switch (method) {
+            case 'initialize': {
+                // Answer with the client's version if we speak it, else our latest
+                const protocolVersion = SUPPORTED_PROTOCOL_VERSIONS.includes(params.protocolVersion)
+                    ? params.protocolVersion
+                    : SUPPORTED_PROTOCOL_VERSIONS[0];
+                session.protocolVersion = protocolVersion;
+                session.clientInfo = params.clientInfo || null;
+                session.clientCapabilities = params.capabilities || {};
+
+                return jsonRpcResponse(id, {
+                    protocolVersion,
+                    capabilities: { completions: {}, logging: {}, prompts: {}, resources: { subscribe: true }, tools: {} },
+                    serverInfo: { name: 'simplest-mcp-server', version: '1.0.0' }
+                });
+            }
+
+            case 'prompts/list':
+                return jsonRpcResponse(id, await registry.listPrompts(params.cursor));
+
+            case 'prompts/get':
+                return jsonRpcResponse(id, await registry.getPrompt(params.name, params.arguments));
+
+            case 'tools/list':
+                return jsonRpcResponse(id, await registry.listTools(params.cursor, tool => requiredScopes('tools/call', tool).every(scope => hasScope(scopes, scope))));
+
+            case 'tools/call':
+                return jsonRpcResponse(id, await registry.callTool(params.name, params.arguments, {
+                    state: session.toolState,
+                    signal: context.signal,
+                    progressToken: params._meta?.progressToken,
+                    notify: context.notify,
+                    clientCapabilities: session.clientCapabilities,
+                    request: context.request,
+                    log: sessionLogger(session, env, context.notify)
+                }));
+
+            case 'resources/list':
+                return jsonRpcResponse(id, await registry.listResources(params.cursor));
+
+            case 'resources/templates/list':
+                return jsonRpcResponse(id, await registry.listResourceTemplates(params.cursor));
+
+            case 'resources/read':
+                return jsonRpcResponse(id, await registry.readResource(params.uri));
+
+            case 'resources/subscribe':
+                if (!session.subscriptions.includes(params.uri)) session.subscriptions.push(params.uri);
+                return jsonRpcResponse(id, {});
+
+            case 'resources/unsubscribe':
+                session.subscriptions = session.subscriptions.filter(uri => uri !== params.uri);
+                return jsonRpcResponse(id, {});
+
+            case 'completion/complete':
+                return jsonRpcResponse(id, await registry.complete(params.ref, params.argument));
+
+            case 'logging/setLevel':
+                if (!isLogLevel(params.level)) {
+                    return jsonRpcError(id, ErrorCode.InvalidParams, `Invalid log level: ${params.level}`);
+                }
+                session.logLevel = params.level;
+                return jsonRpcResponse(id, {});
+
+            case 'notifications/initialized':
+                session.initialized = true;
+                return null; // Do not reply to notifications
+            case 'notifications/cancelled':
+                return null; // The session aborts the request (see McpSession.run)
+            case 'ping':
+                return jsonRpcResponse(id, {});
+
+            default:
+                return jsonRpcError(id, ErrorCode.MethodNotFound, `Method not found: ${method}`);
+        }
+    } catch (e) {
+        if (e instanceof RpcError) return jsonRpcError(id, e.code, e.message, e.data);
+        return jsonRpcError(id, ErrorCode.InternalError, e.message);
+    }
+}
+
+/**
+ * Dispatch one JSON-RPC message; returns the response, or null for notifications.
+ *
+ * @param {{ signal?: AbortSignal, notify?: (notification: object) => void, request?: (method: string, params: object) => Promise<object> }} [context]
+ *   `signal` aborts when the client cancels the request; `notify` sends a
+ *   notification related to it, such as progress or a log message, and
+ *   `request` sends a request to the client and resolves to its result
+ */
+export async function dispatch(message, session, scopes, env, context = {}) {
+    // Responses from the client carry no method; McpSession.run routes them
+    if (!message.method) return null;
+
+    const response = await handleRequest(message.method, message.params || {}, message.id, session, scopes, env, context);
+    return 'id' in message ? response : null;
+}
@@ -0,0 +1,424 @@
+/**
+ * OAuth 2.1 authorization server for the Worker, following the MCP
+ * authorization spec:
+ *
+ * - /.well-known/oauth-protected-resource   Protected resource metadata (RFC 9728)
+ * - /.well-known/oauth-authorization-server Authorization server metadata (RFC 8414)
+ * - /register   Dynamic client registration (RFC 7591)
+ * - /authorize  Authorization code flow with mandatory PKCE (S256)
+ * - /token      Code exchange and refresh token rotation
+ *
+ * Clients, codes, and tokens live in the OAUTH_KV namespace; tokens are
+ * stored by hash only. There are no user accounts: whoever approves a
+ * client on the consent page must enter one of the static MCP_AUTH_TOKENS,
+ * so only someone who already holds a token can grant access.
+ */
+
+import { accessTokenKey, isStaticToken, sha256Hex } from './auth.js';
+import { hasScope, SCOPES } from './handlers.js';
+
+// Lifetimes in seconds
+const CODE_TTL = 600;
+const ACCESS_TOKEN_TTL = 3600;
+const REFRESH_TOKEN_TTL = 30 * 24 * 3600;
+
+const LOOPBACK_HOSTS = ['localhost', '127.0.0.1', '[::1]'];
+
+class OAuthError extends Error {
+    constructor(error, description, status = 400) {
+        super(description);
+        this.error = error;
+        this.status = status;
+    }
+}
+
+function json(body, status = 200, headers = {}) {
+    return new Response(JSON.stringify(body), {
+        status,
+        headers: { 'Content-Type': 'application/json', 'Cache-Control': 'no-store', ...headers }
+    });
+}
+
+function oauthErrorResponse(e) {
+    return json({ error: e.error, error_description: e.message }, e.status);
+}
+
+function randomToken(bytes = 32) {
+    const data = crypto.getRandomValues(new Uint8Array(bytes));
+    return btoa(String.fromCharCode(...data)).replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+}
+
+async function s256(verifier) {
+    const digest = await crypto.subtle.digest('SHA-256', new TextEncoder().encode(verifier));
+    return btoa(String.fromCharCode(...new Uint8Array(digest))).replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+}
+
+function escapeHtml(value) {
+    return String(value).replace(/[&<>"']/g, c => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' })[c]);
+}
+
+// Redirect URIs must be https, loopback http, or a private-use scheme for native apps
+function isAllowedRedirectUri(value) {
+    let uri;
+    try {
+        uri = new URL(value);
+    } catch (e) {
+        return false;
+    }
+    if (uri.hash) return false;
+    if (uri.protocol === 'https:') return true;
+    if (uri.protocol === 'http:') return LOOPBACK_HOSTS.includes(uri.hostname);
+    return !['javascript:', 'data:', 'file:', 'vbscript:'].includes(uri.protocol);
+}
+
+// Keep only known scopes; no scope requested means all of them
+function normalizeScope(requested) {
+    if (!requested) return SCOPES.join(' ');
+    const scopes = requested.split(' ').filter(Boolean);
+    const unknown = scopes.filter(s => !SCOPES.includes(s) && !/^mcp:tools:[\w-]+$/.test(s));
+    if (unknown.length > 0) {
+        throw new OAuthError('invalid_scope', `Unknown scope: ${unknown.join(' ')}`);
+    }
+    return scopes.join(' ');
+}
+
+// Narrow a requested scope to the client's registered one; asking for every
+// tool keeps just the single tools the client may use
+function intersectScope(requested, allowed) {
+    const allowedScopes = allowed.split(' ');
+    const scopes = new Set();
+    for (const scope of requested.split(' ')) {
+        if (hasScope(allowedScopes, scope)) {
+            scopes.add(scope);
+        } else if (scope === 'mcp:tools') {
+            allowedScopes.filter(s => s.startsWith('mcp:tools:')).forEach(s => scopes.add(s));
+        }
+    }
+    return [...scopes].join(' ');
+}
+
+async function getClient(env, clientId) {
+    return clientId ? env.OAUTH_KV.get(`client:${clientId}`, 'json') : null;
+}
+
+// GET /.well-known/oauth-protected-resource
+function protectedResourceMetadata(url) {
+    return json({
+        resource: `${url.origin}/mcp`,
+        authorization_servers: [url.origin],
+        scopes_supported: SCOPES,
+        bearer_methods_supported: ['header'],
+        resource_name: 'simplest-mcp-server'
+    });
+}
+
+// GET /.well-known/oauth-authorization-server
+function authorizationServerMetadata(url) {
+    return json({
+        issuer: url.origin,
+        authorization_endpoint: `${url.origin}/authorize`,
+        token_endpoint: `${url.origin}/token`,
+        registration_endpoint: `${url.origin}/register`,
+        scopes_supported: SCOPES,
+        response_types_supported: ['code'],
+        grant_types_supported: ['authorization_code', 'refresh_token'],
+        code_challenge_methods_supported: ['S256'],
+        token_endpoint_auth_methods_supported: ['none', 'client_secret_post', 'client_secret_basic']
+    });
+}
+
+// POST /register
+async function register(request, env) {
+    let metadata;
+    try {
+        metadata = await request.json();
+    } catch (e) {
+        throw new OAuthError('invalid_client_metadata', 'Request body must be JSON');
+    }
+
+    const redirectUris = metadata.redirect_uris;
+    if (!Array.isArray(redirectUris) || redirectUris.length === 0) {
+        throw new OAuthError('invalid_redirect_uri', 'redirect_uris is required');
+    }
+    const badUri = redirectUris.find(uri => !isAllowedRedirectUri(uri));
+    if (badUri) {
+        throw new OAuthError('invalid_redirect_uri', `Redirect URI not allowed: ${badUri}`);
+    }
+
+    const authMethod = metadata.token_endpoint_auth_method || 'client_secret_basic';
+    if (!['none', 'client_secret_post', 'client_secret_basic'].includes(authMethod)) {
+        throw new OAuthError('invalid_client_metadata', `Unsupported token_endpoint_auth_method: ${authMethod}`);
+    }
+
+    const clientId = crypto.randomUUID();
+    const clientSecret = authMethod === 'none' ? null : randomToken();
+    const client = {
+        client_id: clientId,
+        client_name: metadata.client_name || 'Unnamed client',
+        redirect_uris: redirectUris,
+        token_endpoint_auth_method: authMethod,
+        grant_types: ['authorization_code', 'refresh_token'],
+        response_types: ['code'],
+        scope: normalizeScope(metadata.scope),
+        client_id_issued_at: Math.floor(Date.now() / 1000)
+    };
+
+    await env.OAUTH_KV.put(`client:${clientId}`, JSON.stringify({
+        ...client,
+        client_secret_hash: clientSecret ? await sha256Hex(clientSecret) : null
+    }));
+
+    return json(clientSecret ? { ...client, client_secret: clientSecret, client_secret_expires_at: 0 } : client, 201);
+}
+
+// Validate an authorization request; errors here must not redirect
+async function validateAuthorizeParams(params, env, url) {
+    const client = await getClient(env, params.get('client_id'));
+    if (!client) throw new OAuthError('invalid_client', 'Unknown client_id');
+
+    const redirectUri = params.get('redirect_uri');
+    if (!client.redirect_uris.includes(redirectUri)) {
+        throw new OAuthError('invalid_request', 'redirect_uri does not match a registered URI');
+    }
+
+    if (params.get('response_type') !== 'code') {
+        throw new OAuthError('unsupported_response_type', 'response_type must be code');
+    }
+    if (!params.get('code_challenge') || params.get('code_challenge_method') !== 'S256') {
+        throw new OAuthError('invalid_request', 'PKCE with code_challenge_method=S256 is required');
+    }
+
+    const resource = params.get('resource') || `${url.origin}/mcp`;
+    let resourceUrl;
+    try {
+        resourceUrl = new URL(resource);
+    } catch (e) {
+        throw new OAuthError('invalid_target', 'resource must be an absolute URL');
+    }
+    if (resourceUrl.origin !== url.origin) {
+        throw new OAuthError('invalid_target', 'resource is not served by this server');
+    }
+
+    const scope = intersectScope(normalizeScope(params.get('scope') || client.scope), client.scope);
+    if (!scope) {
+        throw new OAuthError('invalid_scope', 'None of the requested scopes are allowed for this client');
+    }
+    return { client, redirectUri, scope, resource };
+}
+
+function redirectWith(redirectUri, values) {
+    const target = new URL(redirectUri);
+    for (const [key, value] of Object.entries(values)) {
+        if (value) target.searchParams.set(key, value);
+    }
+    return Response.redirect(target.toString(), 302);
+}
+
+function consentPage(params, client, scope, error) {
+    const hidden = [...params.entries()]
+        .filter(([key]) => !['owner_key', 'decision'].includes(key))
+        .map(([key, value]) => `<input type="hidden" name="${escapeHtml(key)}" value="${escapeHtml(value)}">`)
+        .join('\n        ');
+
+    const html = `<!DOCTYPE html>
+<html>
+<head><meta charset="utf-8"><title>Authorize ${escapeHtml(client.client_name)}</title></head>
+<body style="font-family: sans-serif; max-width: 32rem; margin: 3rem auto;">
+    <h1>Authorize ${escapeHtml(client.client_name)}</h1>
+    <p>This client is requesting access to simplest-mcp-server with the scopes:</p>
+    <ul>${scope.split(' ').map(s => `<li><code>${escapeHtml(s)}</code></li>`).join('')}</ul>
+    <p>It will be redirected to <code>${escapeHtml(params.get('redirect_uri'))}</code>.</p>
+    ${error ? `<p style="color: #b00;">${escapeHtml(error)}</p>` : ''}
+    <form method="post" action="/authorize">
+        ${hidden}
+        <label>Owner key <input type="password" name="owner_key" autocomplete="off"></label>
+        <p>
+            <button type="submit" name="decision" value="approve">Approve</button>
+            <button type="submit" name="decision" value="deny">Deny</button>
+        </p>
+    </form>
+</body>
+</html>`;
+
+    return new Response(html, {
+        status: error ? 403 : 200,
+        headers: {
+            'Content-Type': 'text/html; charset=utf-8',
+            'Cache-Control': 'no-store',
+            'X-Frame-Options': 'DENY',
+            'Content-Security-Policy': "default-src 'none'; style-src 'unsafe-inline'; form-action 'self'"
+        }
+    });
+}
+
+// GET /authorize shows the consent page; POST /authorize records the decision
+async function authorize(request, env, url) {
+    const params = request.method === 'POST'
+        ? new URLSearchParams(await request.text())
+        : url.searchParams;
+
+    const { client, redirectUri, scope, resource } = await validateAuthorizeParams(params, env, url);
+    const state = params.get('state');
+
+    if (request.method === 'GET') {
+        return consentPage(params, client, scope);
+    }
+
+    if (params.get('decision') !== 'approve') {
+        return redirectWith(redirectUri, { error: 'access_denied', state });
+    }
+    if (!(await isStaticToken(env, params.get('owner_key') || ''))) {
+        return consentPage(params, client, scope, 'Invalid owner key');
+    }
+
+    const code = randomToken();
+    await env.OAUTH_KV.put(`code:${await sha256Hex(code)}`, JSON.stringify({
+        client_id: client.client_id,
+        redirect_uri: redirectUri,
+        code_challenge: params.get('code_challenge'),
+        scope,
+        resource
+    }), { expirationTtl: CODE_TTL });
+
+    return redirectWith(redirectUri, { code, state });
+}
+
+// Authenticate the client at the token endpoint per its registered method
+async function authenticateClient(request, params, env) {
+    let clientId = params.get('client_id');
+    let clientSecret = params.get('client_secret');
+
+    const basic = (request.headers.get('Authorization') || '').match(/^Basic\s+(.+)$/i);
+    if (basic) {
+        try {
+            const decoded = atob(basic[1]);
+            const separator = decoded.indexOf(':');
+            if (separator < 0) throw new Error('Missing separator');
+            clientId = decodeURIComponent(decoded.slice(0, separator));
+            clientSecret = decodeURIComponent(decoded.slice(separator + 1));
+        } catch (e) {
+            throw new OAuthError('invalid_client', 'Malformed Basic authorization header', 401);
+        }
+    }
+
+    const client = await getClient(env, clientId);
+    if (!client) throw new OAuthError('invalid_client', 'Unknown client', 401);
+
+    if (client.token_endpoint_auth_method !== 'none') {
+        if (!clientSecret || (await sha256Hex(clientSecret)) !== client.client_secret_hash) {
+            throw new OAuthError('invalid_client', 'Client authentication failed', 401);
+        }
+    }
+    return client;
+}
+
+// Issue a new access/refresh token pair for a grant
+async function issueTokens(env, grant) {
+    const accessToken = randomToken();
+    const refreshToken = randomToken();
+
+    await Promise.all([
+        env.OAUTH_KV.put(await accessTokenKey(accessToken), JSON.stringify(grant), { expirationTtl: ACCESS_TOKEN_TTL }),
+        env.OAUTH_KV.put(`refresh:${await sha256Hex(refreshToken)}`, JSON.stringify(grant), { expirationTtl: REFRESH_TOKEN_TTL })
+    ]);
+
+    return json({
+        access_token: accessToken,
+        token_type: 'Bearer',
+        expires_in: ACCESS_TOKEN_TTL,
+        refresh_token: refreshToken,
+        scope: grant.scope
+    });
+}
+
+// POST /token
+async function token(request, env) {
+    const params = new URLSearchParams(await request.text());
+    const client = await authenticateClient(request, params, env);
+    const grantType = params.get('grant_type');
+
+    if (grantType === 'authorization_code') {
+        const codeKey = `code:${await sha256Hex(params.get('code') || '')}`;
+        const code = await env.OAUTH_KV.get(codeKey, 'json');
+        // Codes are single use
+        await env.OAUTH_KV.delete(codeKey);
+
+        if (!code || code.client_id !== client.client_id) {
+            throw new OAuthError('invalid_grant', 'Invalid or expired authorization code');
+        }
+        if (params.get('redirect_uri') !== code.redirect_uri) {
+            throw new OAuthError('invalid_grant', 'redirect_uri does not match the authorization request');
+        }
+        const verifier = params.get('code_verifier');
+        if (!verifier || (await s256(verifier)) !== code.code_challenge) {
+            throw new OAuthError('invalid_grant', 'PKCE verification failed');
+        }
+
+        return issueTokens(env, { client_id: client.client_id, scope: code.scope, resource: code.resource });
+    }
+
+    if (grantType === 'refresh_token') {
+        const refreshKey = `refresh:${await sha256Hex(params.get('refresh_token') || '')}`;
+        const grant = await env.OAUTH_KV.get(refreshKey, 'json');
+        if (!grant || grant.client_id !== client.client_id) {
+            throw new OAuthError('invalid_grant', 'Invalid or expired refresh token');
+        }
+        // Refresh tokens rotate on every use
+        await env.OAUTH_KV.delete(refreshKey);
+
+        // A refresh may narrow the scope but never widen it
+        let scope = grant.scope;
+        if (params.get('scope')) {
+            const requested = normalizeScope(params.get('scope')).split(' ');
+            const granted = grant.scope.split(' ');
+            if (requested.some(s => !granted.includes(s))) {
+                throw new OAuthError('invalid_scope', 'Requested scope exceeds the original grant');
+            }
+            scope = requested.join(' ');
+        }
+
+        return issueTokens(env, { ...grant, scope });
+    }
+
+    throw new OAuthError('unsupported_grant_type', `Unsupported grant_type: ${grantType}`);
+}
+
+/**
+ * Serve the OAuth endpoints.
+ *
+ * @returns {Promise<Response|null>} The response, or null if the path is not an OAuth endpoint
+ */
+export async function handleOAuth(request, env, url) {
+    const path = url.pathname;
+
+    // Path-suffixed form (/.well-known/oauth-protected-resource/mcp) per RFC 9728
+    if (request.method === 'GET' && path.startsWith('/.well-known/oauth-protected-resource')) {
+        return protectedResourceMetadata(url);
+    }
+    if (request.method === 'GET' && path.startsWith('/.well-known/oauth-authorization-server')) {
+        return authorizationServerMetadata(url);
+    }
+
+    const routes = {
+        '/register': ['POST', register],
+        '/authorize': ['GET POST', authorize],
+        '/token': ['POST', token]
+    };
+    const route = routes[path];
+    if (!route) return null;
+
+    const [methods, handler] = route;
+    if (!methods.split(' ').includes(request.method)) {
+        return new Response('Method Not Allowed', { status: 405, headers: { Allow: methods.replace(' ', ', ') } });
+    }
+    if (!env.OAUTH_KV) {
+        return json({ error: 'temporarily_unavailable', error_description: 'OAuth is not configured on this server' }, 503);
+    }
+
+    try {
+        return await handler(request, env, url);
+    } catch (e) {
+        if (e instanceof OAuthError) return oauthErrorResponse(e);
+        throw e;
+    }
+}
@@ -0,0 +1,397 @@
+/**
+ * MCP sessions for the Worker's HTTP transports.
+ *
+ * Every session is pinned to its own McpSession Durable Object. The Worker
+ * routes all requests carrying a session id to that object, which handles
+ * the Streamable HTTP and legacy SSE transports for the session, persists
+ * its state (negotiated protocol version, client capabilities,
+ * subscriptions, tool state) in Durable Object storage, and owns the SSE
+ * streams that server-to-client messages are written to. Requests for one
+ * session therefore see the same state whichever isolate received them.
+ *
+ * A session is created by `initialize` (Streamable HTTP) or by opening the
+ * legacy `/sse` endpoint, and is deleted on DELETE, when the legacy stream
+ * closes, or after SESSION_TTL_MS without requests.
+ */
+
+import { dispatch, jsonRpcError, hasScope, requiredScopes, SUPPORTED_PROTOCOL_VERSIONS } from './handlers.js';
+import { insufficientScope } from './auth.js';
+import { ErrorCode } from '../../shared/registry.js';
+
+const encoder = new TextEncoder();
+
+// Internal headers the Worker sets when routing a request to a session
+export const SESSION_ID_HEADER = 'X-Mcp-Session';
+export const SESSION_CREATE_HEADER = 'X-Mcp-Session-Create';
+export const SESSION_SCOPES_HEADER = 'X-Mcp-Scopes';
+
+// Idle sessions are deleted after this long
+const SESSION_TTL_MS = 60 * 60 * 1000;
+
+// Interval between SSE keepalive comments
+const KEEPALIVE_MS = 15000;
+
+// How long a request to the client, such as sampling/createMessage, may go unanswered
+const CLIENT_REQUEST_TIMEOUT_MS = 60000;
+
+// Format a single SSE event
+export function sseEvent(event, data) {
+    const payload = typeof data === 'string' ? data : JSON.stringify(data);
+    return encoder.encode(`event: ${event}\ndata: ${payload}\n\n`);
+}
+
+/**
+ * Create an SSE stream and the handle used to write to it.
+ *
+ * @param {AbortSignal} [signal] Closes the stream when aborted (client disconnect)
+ * @returns {{ readable: ReadableStream, send: (event: string, data: any) => boolean, close: () => void, onClose: (fn: () => void) => void, closed: boolean }}
+ */
+export function createEventStream(signal) {
+    let controller;
+    let keepAliveInterval;
+    const closeHandlers = [];
+
+    const handle = {
+        readable: null,
+        closed: false,
+        onClose(fn) {
+            closeHandlers.push(fn);
+        },
+        send(event, data) {
+            if (handle.closed) return false;
+            try {
+                controller.enqueue(sseEvent(event, data));
+                return true;
+            } catch (e) {
+                handle.close();
+                return false;
+            }
+        },
+        close() {
+            if (handle.closed) return;
+            handle.closed = true;
+            clearInterval(keepAliveInterval);
+            try {
+                controller.close();
+            } catch (e) {
+                // Already closed by the client
+            }
+            for (const fn of closeHandlers) fn();
+        },
+    };
+
+    handle.readable = new ReadableStream({
+        start(c) {
+            controller = c;
+
+            // Keep connection alive with periodic comments
+            keepAliveInterval = setInterval(() => {
+                try {
+                    controller.enqueue(encoder.encode(`: keepalive\n\n`));
+                } catch (e) {
+                    handle.close();
+                }
+            }, KEEPALIVE_MS);
+
+            if (signal) signal.addEventListener('abort', () => handle.close());
+        },
+        cancel() {
+            handle.close();
+        },
+    });
+
+    return handle;
+}
+
+const sseHeaders = {
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache',
+    'Connection': 'keep-alive'
+};
+
+export function jsonResponse(body, status = 200, headers = {}) {
+    return new Response(JSON.stringify(body), {
+        status,
+        headers: { 'Content-Type': 'application/json', ...headers }
+    });
+}
+
+// Transport-level failure, reported as a JSON-RPC error with a null id
+export function httpError(status, code, message) {
+    return jsonResponse(jsonRpcError(null, code, message), status);
+}
+
+// Fresh state for a new session; everything here must be storage-serializable
+function newSessionState(id, legacy) {
+    return {
+        id,
+        legacy,
+        createdAt: Date.now(),
+        initialized: false,
+        protocolVersion: null,
+        clientInfo: null,
+        clientCapabilities: {},
+        subscriptions: [],
+        // Minimum level of log messages sent to the client (logging/setLevel)
+        logLevel: null,
+        toolState: {}
+    };
+}
+
+export class McpSession {
+    constructor(state, env) {
+        this.state = state;
+        this.env = env;
+        this.session = null;
+        // Streams opened with GET /mcp or GET /sse, newest last. In memory
+        // only: the object stays alive while any of them is open.
+        this.streams = new Set();
+        // AbortControllers of requests still being handled, by JSON-RPC id,
+        // so notifications/cancelled can stop them
+        this.inFlight = new Map();
+        // Callbacks for requests sent to the client, by JSON-RPC id, called
+        // with the response the client POSTs back
+        this.pending = new Map();
+
+        state.blockConcurrencyWhile(async () => {
+            this.session = (await state.storage.get('session')) || null;
+        });
+    }
+
+    async fetch(request) {
+        const url = new URL(request.url);
+        const id = request.headers.get(SESSION_ID_HEADER);
+        const create = request.headers.get(SESSION_CREATE_HEADER) === '1';
+
+        if (!create && !this.session) {
+            return httpError(404, ErrorCode.InvalidRequest, 'Session not found');
+        }
+
+        if (url.pathname === '/sse') return this.handleLegacySse(url, id);
+        if (request.method === 'POST') return this.handlePost(request, url, id, create);
+        if (request.method === 'GET') return this.handleGet(request);
+        if (request.method === 'DELETE') return this.handleDelete();
+        return new Response('Method Not Allowed', { status: 405, headers: { Allow: 'GET, POST, DELETE' } });
+    }
+
+    // Delete the session once it has been idle for SESSION_TTL_MS
+    async alarm() {
+        if (this.streams.size > 0) {
+            await this.state.storage.setAlarm(Date.now() + SESSION_TTL_MS);
+            return;
+        }
+        await this.end();
+    }
+
+    async save() {
+        await this.state.storage.put('session', this.session);
+        await this.state.storage.setAlarm(Date.now() + SESSION_TTL_MS);
+    }
+
+    async end() {
+        for (const stream of this.streams) stream.close();
+        this.streams.clear();
+        this.session = null;
+        await this.state.storage.deleteAlarm();
+        await this.state.storage.deleteAll();
+    }
+
+    // Register a long-lived stream for server-initiated messages
+    attachStream(stream) {
+        this.streams.add(stream);
+        stream.onClose(() => this.streams.delete(stream));
+    }
+
+    /**
+     * Send a JSON-RPC message to the client over the newest open stream.
+     * Returns false if the client has no stream open.
+     */
+    send(message) {
+        const streams = [...this.streams].reverse();
+        return streams.some((stream) => stream.send('message', message));
+    }
+
+    /**
+     * Dispatch one message from the client. Requests get an AbortSignal
+     * that a later notifications/cancelled for their id aborts; a cancelled
+     * request's response is dropped. `notify` sends the request's
+     * notifications and requests to the client, by default over the newest
+     * open stream.
+     */
+    async run(message, scopes, notify = (notification) => this.send(notification)) {
+        if (!message.method) {
+            this.pending.get(message.id)?.(message);
+            return null;
+        }
+        if (message.method === 'notifications/cancelled') {
+            this.inFlight.get(message.params?.requestId)?.abort(message.params?.reason);
+        }
+        if (!('id' in message)) {
+            return dispatch(message, this.session, scopes, this.env);
+        }
+
+        const controller = new AbortController();
+        this.inFlight.set(message.id, controller);
+        try {
+            const send = (notification) => notify({ jsonrpc: '2.0', ...notification });
+            const request = (method, params) => this.requestClient(method, params, send, controller.signal);
+            const response = await dispatch(message, this.session, scopes, this.env, { signal: controller.signal, notify: send, request });
+            return controller.signal.aborted ? null : response;
+        } finally {
+            this.inFlight.delete(message.id);
+        }
+    }
+
+    /**
+     * Send a request to the client with `send` and resolve to the result the
+     * client POSTs back. Rejects on an error response, when `send` finds no
+     * open stream, after CLIENT_REQUEST_TIMEOUT_MS, or when `signal` aborts,
+     * in which case the client is told to stop.
+     */
+    requestClient(method, params, send, signal) {
+        const id = `server-${crypto.randomUUID()}`;
+        return new Promise((resolve, reject) => {
+            const finish = (error, result) => {
+                this.pending.delete(id);
+                clearTimeout(timer);
+                signal.removeEventListener('abort', onAbort);
+                if (error) reject(error);
+                else resolve(result);
+            };
+            const onAbort = () => {
+                send({ method: 'notifications/cancelled', params: { requestId: id, reason: 'Request cancelled' } });
+                finish(new Error('Cancelled'));
+            };
+            const timer = setTimeout(() => {
+                finish(new Error(`Client did not answer ${method} within ${CLIENT_REQUEST_TIMEOUT_MS / 1000} seconds`));
+            }, CLIENT_REQUEST_TIMEOUT_MS);
+
+            signal.addEventListener('abort', onAbort, { once: true });
+            this.pending.set(id, (response) => {
+                if (response.error) finish(new Error(`Client returned an error for ${method}: ${response.error.message}`));
+                else finish(null, response.result);
+            });
+            if (!send({ id, method, params })) {
+                finish(new Error(`Cannot send ${method}: the client has no stream open`));
+            }
+        });
+    }
+
+    // POST /mcp - client-to-server messages
+    async handlePost(request, url, id, create) {
+        const protocolVersion = request.headers.get('MCP-Protocol-Version');
+        if (protocolVersion && !SUPPORTED_PROTOCOL_VERSIONS.includes(protocolVersion)) {
+            return httpError(400, ErrorCode.InvalidRequest, `Unsupported protocol version: ${protocolVersion}`);
+        }
+
+        let body;
+        try {
+            body = await request.json();
+        } catch (e) {
+            return httpError(400, ErrorCode.ParseError, 'Parse error');
+        }
+
+        const isBatch = Array.isArray(body);
+        const messages = isBatch ? body : [body];
+        if (messages.length === 0) {
+            return httpError(400, ErrorCode.InvalidRequest, 'Bad Request: empty batch');
+        }
+        if (messages.some(m => m === null || typeof m !== 'object' || Array.isArray(m))) {
+            return httpError(400, ErrorCode.InvalidRequest, 'Bad Request: every message must be a JSON object');
+        }
+        const isInitialize = messages.some(m => m.method === 'initialize');
+
+        // Reject the whole POST if any message needs a scope the token lacks
+        const scopes = (request.headers.get(SESSION_SCOPES_HEADER) || '').split(' ').filter(Boolean);
+        for (const message of messages) {
+            const required = typeof message.method === 'string' ? requiredScopes(message.method, message.params || {}) : [];
+            const missing = required.find(scope => !hasScope(scopes, scope));
+            if (missing) return insufficientScope(url, missing);
+        }
+
+        if (create) {
+            if (!isInitialize) {
+                return httpError(400, ErrorCode.InvalidRequest, 'Bad Request: Mcp-Session-Id header is required');
+            }
+            if (messages.length > 1) {
+                return httpError(400, ErrorCode.InvalidRequest, 'Bad Request: initialize must not be batched');
+            }
+            this.session = newSessionState(id, false);
+        }
+
+        const headers = isInitialize ? { 'Mcp-Session-Id': this.session.id } : {};
+        const session = this.session;
+
+        // Notifications and responses only: nothing to send back
+        if (!messages.some(m => m.method && 'id' in m)) {
+            await Promise.all(messages.map(m => this.run(m, scopes)));
+            await this.save();
+            return new Response(null, { status: 202, headers });
+        }
+
+        // Legacy HTTP+SSE: responses go down the stream opened on /sse
+        if (session.legacy && this.streams.size > 0) {
+            const results = await Promise.all(messages.map(m => this.run(m, scopes)));
+            await this.save();
+            results.filter(Boolean).forEach(result => this.send(result));
+            return new Response(null, { status: 202, headers });
+        }
+
+        // Streamable HTTP: stream the responses when the client accepts SSE
+        const accept = request.headers.get('Accept') || '';
+        if (accept.includes('text/event-stream')) {
+            const stream = createEventStream(request.signal);
+            const respond = async () => {
+                // Progress goes down the same stream as the response
+                const notify = (notification) => stream.send('message', notification);
+                for (const message of messages) {
+                    const result = await this.run(message, scopes, notify);
+                    if (result) stream.send('message', result);
+                }
+                await this.save();
+                stream.close();
+            };
+            respond().catch(() => stream.close());
+            return new Response(stream.readable, { headers: { ...sseHeaders, ...headers } });
+        }
+
+        const results = (await Promise.all(messages.map(m => this.run(m, scopes)))).filter(Boolean);
+        await this.save();
+        return jsonResponse(isBatch ? results : results[0], 200, headers);
+    }
+
+    // GET /mcp - stream for server-initiated messages
+    handleGet(request) {
+        const accept = request.headers.get('Accept') || '';
+        if (!accept.includes('text/event-stream')) {
+            return httpError(406, ErrorCode.InvalidRequest, 'Not Acceptable: client must accept text/event-stream');
+        }
+
+        const stream = createEventStream(request.signal);
+        this.attachStream(stream);
+        return new Response(stream.readable, { headers: sseHeaders });
+    }
+
+    // DELETE /mcp - client ends its session
+    async handleDelete() {
+        await this.end();
+        return new Response(null, { status: 204 });
+    }
+
+    // GET /sse - legacy HTTP+SSE transport
+    async handleLegacySse(url, id) {
+        this.session = newSessionState(id, true);
+        await this.save();
+
+        const stream = createEventStream();
+        this.attachStream(stream);
+        // The legacy session lives exactly as long as its stream
+        stream.onClose(() => this.end());
+
+        // Send endpoint event (Required by MCP HTTP Spec)
+        // This tells the client where to send POST requests
+        stream.send('endpoint', `${url.origin}/mcp?sessionId=${id}`);
+
+        return new Response(stream.readable, { headers: sseHeaders });
+    }
+}
@@ -0,0 +1,509 @@
+/**
+ * Expression evaluator behind the calculate tool.
+ *
+ * Parses arithmetic with a hand-written recursive-descent parser (never
+ * `eval`) and computes in arbitrary-precision decimal, so 0.1 + 0.2 is
+ * exactly 0.3. Supported:
+ * - `+ - * / %`, `^` (or `**`) for powers, unary minus, parentheses
+ * - constants `pi` and `e` (to 50 digits), and named variables supplied by the caller
+ * - functions: abs, sqrt, floor, ceil, trunc, round(x, digits), min, max,
+ *   factorial, exp, ln, log(x, base = 10), log2, sin, cos, tan, asin,
+ *   acos, atan
+ *
+ * Addition, subtraction, multiplication, modulo, and integer powers are
+ * exact. Division and sqrt are rounded to `precision` significant digits;
+ * the remaining functions and non-integer powers go through floating point
+ * and are good to about 15 digits.
+ */
+
+// Decimals are { int, scale }: the value int / 10^scale, with int a BigInt
+
+const DEFAULT_PRECISION = 34;
+
+// Limits that keep a single expression from eating the CPU or memory
+const MAX_EXPONENT = 1000;
+const MAX_DIGITS = 100000;
+const MAX_FACTORIAL = 1000;
+
+const PI = '3.14159265358979323846264338327950288419716939937510';
+const E = '2.71828182845904523536028747135266249775724709369995';
+
+function pow10(n) {
+    return 10n ** BigInt(n);
+}
+
+function digitCount(int) {
+    return (int < 0n ? -int : int).toString().length;
+}
+
+// Refuse a result that would have more than MAX_DIGITS digits, before
+// computing it
+function checkDigits(digits) {
+    if (digits > MAX_DIGITS) {
+        throw new Error(`Result too large (limit ${MAX_DIGITS} digits)`);
+    }
+}
+
+// Fractional digits are paid for in pow10 when values are aligned or
+// divided, so they count against MAX_DIGITS like the digits of a result
+function checkScale(scale) {
+    if (scale > MAX_DIGITS) {
+        throw new Error(`Too many decimal places (limit ${MAX_DIGITS})`);
+    }
+}
+
+// Strip trailing fractional zeros
+function normalize({ int, scale }) {
+    while (scale > 0 && int % 10n === 0n) {
+        int /= 10n;
+        scale--;
+    }
+    return { int, scale };
+}
+
+function parseDecimal(text) {
+    const match = /^([+-])?(\d*)(?:\.(\d*))?(?:[eE]([+-]?\d+))?$/.exec(String(text).trim());
+    if (!match || `${match[2]}${match[3] || ''}` === '') {
+        throw new Error(`Invalid number: ${text}`);
+    }
+    const [, sign, whole, fraction = '', exponent = '0'] = match;
+    if (Math.abs(Number(exponent)) > MAX_EXPONENT) {
+        throw new Error(`Exponent out of range: ${text}`);
+    }
+
+    let int = BigInt(`${whole || '0'}${fraction}`);
+    let scale = fraction.length - Number(exponent);
+    if (scale < 0) {
+        int *= pow10(-scale);
+        scale = 0;
+    }
+    return normalize({ int: sign === '-' ? -int : int, scale });
+}
+
+function fromNumber(value) {
+    if (!Number.isFinite(value)) {
+        throw new Error('Result is not a finite number');
+    }
+    return parseDecimal(String(value));
+}
+
+function toNumber(value) {
+    return Number(formatDecimal(value));
+}
+
+/**
+ * Format a decimal as a plain string, e.g. "-12.5"; never uses exponents.
+ */
+export function formatDecimal({ int, scale }) {
+    const negative = int < 0n;
+    let digits = (negative ? -int : int).toString();
+    if (scale > 0) {
+        digits = digits.padStart(scale + 1, '0');
+        digits = `${digits.slice(0, -scale)}.${digits.slice(-scale)}`;
+    }
+    return negative ? `-${digits}` : digits;
+}
+
+// n / m rounded half away from zero; m must be positive
+function divideRounded(n, m) {
+    const quotient = n / m;
+    const remainder = n % m;
+    const twice = (remainder < 0n ? -remainder : remainder) * 2n;
+    if (twice >= m) return quotient + (n < 0n ? -1n : 1n);
+    return quotient;
+}
+
+// Round away fractional digits beyond `precision` significant digits
+function roundSignificant(value, precision) {
+    const drop = Math.min(digitCount(value.int) - precision, value.scale);
+    if (drop <= 0) return value;
+    return normalize({ int: divideRounded(value.int, pow10(drop)), scale: value.scale - drop });
+}
+
+function align(a, b) {
+    const scale = Math.max(a.scale, b.scale);
+    checkScale(scale);
+    return [a.int * pow10(scale - a.scale), b.int * pow10(scale - b.scale), scale];
+}
+
+function compare(a, b) {
+    const [x, y] = align(a, b);
+    return x < y ? -1 : x > y ? 1 : 0;
+}
+
+function isInteger(value) {
+    return normalize(value).scale === 0;
+}
+
+function add(a, b) {
+    const [x, y, scale] = align(a, b);
+    checkDigits(Math.max(digitCount(x), digitCount(y)));
+    return normalize({ int: x + y, scale });
+}
+
+function subtract(a, b) {
+    const [x, y, scale] = align(a, b);
+    checkDigits(Math.max(digitCount(x), digitCount(y)));
+    return normalize({ int: x - y, scale });
+}
+
+function multiply(a, b) {
+    checkScale(a.scale + b.scale);
+    checkDigits(digitCount(a.int) + digitCount(b.int));
+    return normalize({ int: a.int * b.int, scale: a.scale + b.scale });
+}
+
+function divide(a, b, precision) {
+    if (b.int === 0n) throw new Error('Division by zero');
+    const numerator = b.int < 0n ? -a.int : a.int;
+    const denominator = b.int < 0n ? -b.int : b.int;
+
+    // Enough fractional digits for `precision` significant ones, plus two guard digits
+    const magnitude = (digitCount(a.int) - a.scale) - (digitCount(b.int) - b.scale);
+    const scale = Math.max(precision - magnitude + 2, a.scale - b.scale, 0);
+    checkScale(scale);
+    checkScale(scale - a.scale + b.scale);
+    const int = divideRounded(numerator * pow10(scale - a.scale + b.scale), denominator);
+    return roundSignificant(normalize({ int, scale }), precision);
+}
+
+function modulo(a, b) {
+    if (b.int === 0n) throw new Error('Modulo by zero');
+    const [x, y, scale] = align(a, b);
+    return normalize({ int: x % y, scale });
+}
+
+function power(base, exponent, precision) {
+    if (!isInteger(exponent)) {
+        return roundSignificant(fromNumber(Math.pow(toNumber(base), toNumber(exponent))), precision);
+    }
+
+    const n = normalize(exponent).int;
+    const absN = n < 0n ? -n : n;
+    if (absN > BigInt(MAX_EXPONENT)) {
+        throw new Error(`Exponent too large (limit ${MAX_EXPONENT})`);
+    }
+    checkDigits(digitCount(base.int) * Number(absN));
+    checkScale(base.scale * Number(absN));
+
+    const result = normalize({ int: base.int ** absN, scale: base.scale * Number(absN) });
+    return n < 0n ? divide({ int: 1n, scale: 0 }, result, precision) : result;
+}
+
+// Integer square root by Newton's method
+function integerSqrt(n) {
+    if (n < 2n) return n;
+    let x = 1n << BigInt(Math.ceil(n.toString(2).length / 2));
+    while (true) {
+        const y = (x + n / x) >> 1n;
+        if (y >= x) return x;
+        x = y;
+    }
+}
+
+function sqrt(value, precision) {
+    if (value.int < 0n) throw new Error('Square root of a negative number');
+    let { int, scale } = value;
+    // An even scale halves cleanly
+    if (scale % 2 === 1) {
+        int *= 10n;
+        scale += 1;
+    }
+    const extra = precision + 2;
+    const root = integerSqrt(int * pow10(2 * extra));
+    return roundSignificant(normalize({ int: root, scale: scale / 2 + extra }), precision);
+}
+
+// Round to `digits` fractional digits, half away from zero; digits may be negative
+function roundTo(value, digits) {
+    if (value.scale <= digits) return value;
+    const drop = value.scale - digits;
+    checkScale(drop);
+    const int = divideRounded(value.int, pow10(drop));
+    return digits >= 0 ? normalize({ int, scale: digits }) : { int: int * pow10(-digits), scale: 0 };
+}
+
+function floor(value) {
+    const { int, scale } = value;
+    const divisor = pow10(scale);
+    let quotient = int / divisor;
+    if (int < 0n && int % divisor !== 0n) quotient -= 1n;
+    return { int: quotient, scale: 0 };
+}
+
+function integerArgument(value, name) {
+    if (!isInteger(value)) throw new Error(`${name} requires an integer`);
+    return Number(normalize(value).int);
+}
+
+// Through floating point: fine for transcendental functions
+function viaNumber(fn) {
+    return ([x], precision) => roundSignificant(fromNumber(fn(toNumber(x))), precision);
+}
+
+// Functions by name: [min args, max args, implementation(args, precision)]
+const FUNCTIONS = {
+    abs: [1, 1, ([x]) => (x.int < 0n ? { int: -x.int, scale: x.scale } : x)],
+    sqrt: [1, 1, ([x], precision) => sqrt(x, precision)],
+    floor: [1, 1, ([x]) => floor(x)],
+    ceil: [1, 1, ([x]) => {
+        const down = floor(x);
+        return compare(down, x) === 0 ? down : add(down, { int: 1n, scale: 0 });
+    }],
+    trunc: [1, 1, ([x]) => ({ int: x.int / pow10(x.scale), scale: 0 })],
+    round: [1, 2, ([x, digits]) => roundTo(x, digits ? integerArgument(digits, 'round') : 0)],
+    min: [1, Infinity, (args) => args.reduce((a, b) => (compare(b, a) < 0 ? b : a))],
+    max: [1, Infinity, (args) => args.reduce((a, b) => (compare(b, a) > 0 ? b : a))],
+    factorial: [1, 1, ([x]) => {
+        const n = integerArgument(x, 'factorial');
+        if (n < 0 || n > MAX_FACTORIAL) throw new Error(`factorial requires an integer from 0 to ${MAX_FACTORIAL}`);
+        let result = 1n;
+        for (let i = 2n; i <= BigInt(n); i++) result *= i;
+        return { int: result, scale: 0 };
+    }],
+    exp: [1, 1, viaNumber(Math.exp)],
+    ln: [1, 1, viaNumber(Math.log)],
+    log: [1, 2, ([x, base], precision) => {
+        const value = base ? Math.log(toNumber(x)) / Math.log(toNumber(base)) : Math.log10(toNumber(x));
+        return roundSignificant(fromNumber(value), precision);
+    }],
+    log2: [1, 1, viaNumber(Math.log2)],
+    sin: [1, 1, viaNumber(Math.sin)],
+    cos: [1, 1, viaNumber(Math.cos)],
+    tan: [1, 1, viaNumber(Math.tan)],
+    asin: [1, 1, viaNumber(Math.asin)],
+    acos: [1, 1, viaNumber(Math.acos)],
+    atan: [1, 1, viaNumber(Math.atan)],
+};
+
+const CONSTANTS = {
+    pi: parseDecimal(PI),
+    e: parseDecimal(E),
+};
+
+// ==================== PARSER ====================
+
+const TOKEN = /((?:\d+\.?\d*|\.\d+)(?:[eE][+-]?\d+)?)|([A-Za-z_]\w*)|(\*\*|[-+*/%^(),])/y;
+
+function tokenize(expression) {
+    const tokens = [];
+    let position = 0;
+    while (position < expression.length) {
+        if (/\s/.test(expression[position])) {
+            position++;
+            continue;
+        }
+
+        TOKEN.lastIndex = position;
+        const match = TOKEN.exec(expression);
+        if (!match) {
+            throw new Error(`Unexpected character "${expression[position]}" at position ${position + 1}`);
+        }
+        const [text, number, name, operator] = match;
+        if (number !== undefined) tokens.push({ type: 'number', value: number });
+        else if (name !== undefined) tokens.push({ type: 'name', value: name });
+        else tokens.push({ type: 'operator', value: operator === '**' ? '^' : operator });
+        position += text.length;
+    }
+    return tokens;
+}
+
+// Binding strength of each binary operator; unary minus sits between * and ^
+const PRECEDENCE = { '+': 1, '-': 1, '*': 2, '/': 2, '%': 2, '^': 4 };
+const UNARY_PRECEDENCE = 3;
+
+function parse(expression) {
+    const tokens = tokenize(expression);
+    let index = 0;
+
+    const peek = () => tokens[index];
+    const isOperator = (value) => peek()?.type === 'operator' && peek().value === value;
+    const expect = (value) => {
+        if (!isOperator(value)) {
+            throw new Error(`Expected "${value}" ${peek() ? `but found "${peek().value}"` : 'at end of expression'}`);
+        }
+        index++;
+    };
+
+    // Precedence climbing over + - * / %; ^ and unary minus bind tighter and
+    // are handled in parseUnary()
+    function parseBinary(minPrecedence) {
+        let left = parseUnary();
+        while (peek()?.type === 'operator' && PRECEDENCE[peek().value] >= minPrecedence) {
+            const op = tokens[index++].value;
+            left = { type: 'binary', op, left, right: parseBinary(PRECEDENCE[op] + 1) };
+        }
+        return left;
+    }
+
+    function parseUnary() {
+        if (isOperator('-') || isOperator('+')) {
+            const op = tokens[index++].value;
+            const operand = parseUnary();
+            return op === '-' ? { type: 'negate', operand } : operand;
+        }
+        const base = parsePrimary();
+        // Right-associative, and tighter than a unary minus on its left: -2^2 is -4
+        if (isOperator('^')) {
+            index++;
+            return { type: 'binary', op: '^', left: base, right: parseUnary() };
+        }
+        return base;
+    }
+
+    function parsePrimary() {
+        const token = tokens[index++];
+        if (!token) throw new Error('Unexpected end of expression');
+
+        if (token.type === 'number') {
+            return { type: 'number', value: parseDecimal(token.value) };
+        }
+        if (token.type === 'name') {
+            if (!isOperator('(')) return { type: 'variable', name: token.value };
+            index++;
+            const args = [];
+            if (!isOperator(')')) {
+                args.push(parseBinary(1));
+                while (isOperator(',')) {
+                    index++;
+                    args.push(parseBinary(1));
+                }
+            }
+            expect(')');
+            return { type: 'call', name: token.value, args };
+        }
+        if (token.value === '(') {
+            const inner = parseBinary(1);
+            expect(')');
+            return inner;
+        }
+        throw new Error(`Unexpected "${token.value}"`);
+    }
+
+    if (tokens.length === 0) throw new Error('Empty expression');
+    const ast = parseBinary(1);
+    if (index < tokens.length) throw new Error(`Unexpected "${peek().value}"`);
+    return ast;
+}
+
+// ==================== FORMAT AND EVALUATE ====================
+
+function precedenceOf(node) {
+    if (node.type === 'binary') return PRECEDENCE[node.op];
+    if (node.type === 'negate') return UNARY_PRECEDENCE;
+    return Infinity;
+}
+
+// Canonical text for a node, with only the parentheses the precedence needs
+function format(node, minPrecedence = 0) {
+    let text;
+    switch (node.type) {
+        case 'number':
+            text = formatDecimal(node.value);
+            break;
+        case 'variable':
+            text = node.name;
+            break;
+        case 'call':
+            text = `${node.name}(${node.args.map((arg) => format(arg)).join(', ')})`;
+            break;
+        case 'negate':
+            text = `-${format(node.operand, UNARY_PRECEDENCE)}`;
+            break;
+        case 'binary': {
+            const p = PRECEDENCE[node.op];
+            const rightAssociative = node.op === '^';
+            text = `${format(node.left, rightAssociative ? p + 1 : p)} ${node.op} ${format(node.right, rightAssociative ? p : p + 1)}`;
+            break;
+        }
+    }
+    return precedenceOf(node) < minPrecedence ? `(${text})` : text;
+}
+
+function evaluateNode(node, variables, precision) {
+    const evaluate = (child) => evaluateNode(child, variables, precision);
+
+    switch (node.type) {
+        case 'number':
+            return node.value;
+        case 'variable':
+            if (Object.hasOwn(variables, node.name)) return variables[node.name];
+            if (Object.hasOwn(CONSTANTS, node.name)) return roundSignificant(CONSTANTS[node.name], precision);
+            throw new Error(`Unknown variable: ${node.name}`);
+        case 'negate': {
+            const value = evaluate(node.operand);
+            return { int: -value.int, scale: value.scale };
+        }
+        case 'call': {
+            const entry = Object.hasOwn(FUNCTIONS, node.name) && FUNCTIONS[node.name];
+            if (!entry) throw new Error(`Unknown function: ${node.name}`);
+            const [min, max, fn] = entry;
+            if (node.args.length < min || node.args.length > max) {
+                const expected = min === max ? `${min}` : max === Infinity ? `at least ${min}` : `${min} to ${max}`;
+                throw new Error(`${node.name} takes ${expected} argument${expected === '1' ? '' : 's'}`);
+            }
+            return fn(node.args.map(evaluate), precision);
+        }
+        case 'binary': {
+            const left = evaluate(node.left);
+            const right = evaluate(node.right);
+            switch (node.op) {
+                case '+': return add(left, right);
+                case '-': return subtract(left, right);
+                case '*': return multiply(left, right);
+                case '/': return divide(left, right, precision);
+                case '%': return modulo(left, right);
+                case '^': return power(left, right, precision);
+            }
+        }
+    }
+    throw new Error(`Cannot evaluate ${node.type}`);
+}
+
+/**
+ * Names of the variables `expression` uses, in order of first use, not
+ * counting the constants pi and e.
+ *
+ * @throws {Error} On syntax errors
+ */
+export function variableNames(expression) {
+    const names = new Set();
+    const visit = (node) => {
+        if (node.type === 'variable' && !Object.hasOwn(CONSTANTS, node.name)) names.add(node.name);
+        if (node.type === 'negate') visit(node.operand);
+        if (node.type === 'call') node.args.forEach(visit);
+        if (node.type === 'binary') {
+            visit(node.left);
+            visit(node.right);
+        }
+    };
+    visit(parse(expression));
+    return [...names];
+}
+
+/**
+ * Evaluate an arithmetic expression.
+ *
+ * @param {string} expression e.g. "(price * qty) * (1 + rate)"
+ * @param {{ variables?: Record<string, number | string>, precision?: number }} [options]
+ *   Variables may be numbers or decimal strings such as "0.075".
+ *   `precision` is the significant digits kept by inexact operations.
+ * @returns {{ expression: string, result: string }} The normalized expression
+ *   and the result as a plain decimal string
+ * @throws {Error} On syntax errors, unknown names, and math errors such as division by zero
+ */
+export function evaluate(expression, { variables = {}, precision = DEFAULT_PRECISION } = {}) {
+    const ast = parse(expression);
+
+    const values = {};
+    for (const [name, value] of Object.entries(variables)) {
+        try {
+            values[name] = typeof value === 'number' ? fromNumber(value) : parseDecimal(value);
+        } catch (error) {
+            throw new Error(`Invalid value for variable ${name}: ${value}`);
+        }
+    }
+
+    const result = evaluateNode(ast, values, precision);
+    return { expression: format(ast), result: formatDecimal(normalize(result)) };
+}
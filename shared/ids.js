@@ -0,0 +1,150 @@
+/**
+ * ID generators behind the generate-uuid tool: UUID v4, v5, and v7, ULID,
+ * and nanoid.
+ *
+ * Randomness and hashing come from Web Crypto, which is global in both
+ * Node.js 19+ and Workers. UUID v7 and ULID embed a millisecond timestamp,
+ * and IDs generated within the same millisecond increment the random part
+ * instead of redrawing it, so each of them sorts in creation order, batches
+ * included (RFC 9562 "monotonic random" and the ULID monotonic variant).
+ */
+
+export const ID_TYPES = ['uuid-v4', 'uuid-v7', 'uuid-v5', 'ulid', 'nanoid'];
+
+// RFC 9562 namespaces for name-based UUIDs
+export const UUID_NAMESPACES = {
+    dns: '6ba7b810-9dad-11d1-80b4-00c04fd430c8',
+    url: '6ba7b811-9dad-11d1-80b4-00c04fd430c8',
+    oid: '6ba7b812-9dad-11d1-80b4-00c04fd430c8',
+    x500: '6ba7b814-9dad-11d1-80b4-00c04fd430c8',
+};
+
+export const NANOID_ALPHABET = 'useandom-26T198340PX75pxJACKVERYMINDBUSHWOLF_GQZbfghjklqvwyzrict';
+export const NANOID_SIZE = 21;
+
+const UUID_PATTERN = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+const CROCKFORD_BASE32 = '0123456789ABCDEFGHJKMNPQRSTVWXYZ';
+
+function randomBigInt(bits) {
+    const bytes = crypto.getRandomValues(new Uint8Array(Math.ceil(bits / 8)));
+    let value = 0n;
+    for (const byte of bytes) value = (value << 8n) | BigInt(byte);
+    return value & ((1n << BigInt(bits)) - 1n);
+}
+
+function hex(value, digits) {
+    return value.toString(16).padStart(digits, '0');
+}
+
+function formatUuid(value) {
+    const digits = hex(value, 32);
+    return `${digits.slice(0, 8)}-${digits.slice(8, 12)}-${digits.slice(12, 16)}-${digits.slice(16, 20)}-${digits.slice(20)}`;
+}
+
+/**
+ * Monotonic source of `{ time, random }` pairs: a millisecond timestamp and
+ * `bits` random bits. Within one millisecond the random part counts up
+ * from its last value; on overflow the timestamp moves ahead by one.
+ */
+function monotonicClock(bits) {
+    const limit = 1n << BigInt(bits);
+    let lastTime = -1;
+    let lastRandom = 0n;
+
+    return () => {
+        const now = Date.now();
+        if (now > lastTime) {
+            lastTime = now;
+            lastRandom = randomBigInt(bits);
+        } else {
+            lastRandom++;
+            if (lastRandom === limit) {
+                lastTime++;
+                lastRandom = randomBigInt(bits - 1);
+            }
+        }
+        return { time: BigInt(lastTime), random: lastRandom };
+    };
+}
+
+// UUID v7 has 74 random bits (rand_a and rand_b) around its version and variant
+const uuidV7Clock = monotonicClock(74);
+const ulidClock = monotonicClock(80);
+
+export function uuidV4() {
+    return crypto.randomUUID();
+}
+
+export function uuidV7() {
+    const { time, random } = uuidV7Clock();
+    const randA = random >> 62n;
+    const randB = random & ((1n << 62n) - 1n);
+    return formatUuid((time << 80n) | (0x7n << 76n) | (randA << 64n) | (0x2n << 62n) | randB);
+}
+
+/**
+ * Name-based UUID v5: the same namespace and name always give the same UUID.
+ *
+ * @param {string} namespace A UUID or one of the UUID_NAMESPACES keys
+ * @throws {Error} If the namespace is neither
+ */
+export async function uuidV5(namespace, name) {
+    const namespaceUuid = UUID_NAMESPACES[namespace.toLowerCase()] || namespace;
+    if (!UUID_PATTERN.test(namespaceUuid)) {
+        throw new Error(`Invalid namespace: ${namespace} (expected a UUID or one of ${Object.keys(UUID_NAMESPACES).join(', ')})`);
+    }
+
+    const namespaceBytes = namespaceUuid.replace(/-/g, '').match(/../g).map((pair) => parseInt(pair, 16));
+    const nameBytes = new TextEncoder().encode(name);
+    const data = new Uint8Array(namespaceBytes.length + nameBytes.length);
+    data.set(namespaceBytes);
+    data.set(nameBytes, namespaceBytes.length);
+
+    const hash = new Uint8Array(await crypto.subtle.digest('SHA-1', data)).slice(0, 16);
+    hash[6] = (hash[6] & 0x0f) | 0x50;
+    hash[8] = (hash[8] & 0x3f) | 0x80;
+    return formatUuid(BigInt(`0x${Array.from(hash, (byte) => hex(byte, 2)).join('')}`));
+}
+
+// Crockford base32 digits of `value`, left-padded to `length`
+function base32(value, length) {
+    let text = '';
+    for (let i = 0; i < length; i++) {
+        text = CROCKFORD_BASE32[Number(value & 31n)] + text;
+        value >>= 5n;
+    }
+    return text;
+}
+
+export function ulid() {
+    const { time, random } = ulidClock();
+    return base32(time, 10) + base32(random, 16);
+}
+
+/**
+ * Random ID of `size` characters drawn uniformly from `alphabet`.
+ *
+ * @throws {Error} If the alphabet has fewer than 2 or more than 256 distinct characters
+ */
+export function nanoid(size = NANOID_SIZE, alphabet = NANOID_ALPHABET) {
+    const symbols = [...alphabet];
+    if (new Set(symbols).size !== symbols.length) {
+        throw new Error('Alphabet has repeated characters');
+    }
+    if (symbols.length < 2 || symbols.length > 256) {
+        throw new Error(`Alphabet must have 2 to 256 characters, got ${symbols.length}`);
+    }
+
+    // Draw bytes masked to the next power of two and skip values past the
+    // alphabet, so every character is equally likely
+    const mask = (2 << Math.log2(symbols.length - 1)) - 1;
+    const id = [];
+    while (id.length < size) {
+        for (const byte of crypto.getRandomValues(new Uint8Array(Math.min(size * 2, 4096)))) {
+            const index = byte & mask;
+            if (index < symbols.length) id.push(symbols[index]);
+            if (id.length === size) break;
+        }
+    }
+    return id.join('');
+}
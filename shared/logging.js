@@ -0,0 +1,52 @@
+/**
+ * MCP logging shared by both servers.
+ *
+ * Every log line goes two ways:
+ * - to the client as `notifications/message`, if its level is at or above
+ *   the one the client chose with `logging/setLevel` (everything is sent
+ *   until it does);
+ * - to the server's own log as one JSON object per line, if its level is at
+ *   or above MCP_LOG_LEVEL (default info): stderr for the local server,
+ *   Workers logs for the Worker.
+ */
+
+// RFC 5424 severities, lowest first, as MCP uses them
+export const LOG_LEVELS = ['debug', 'info', 'notice', 'warning', 'error', 'critical', 'alert', 'emergency'];
+
+export const DEFAULT_LOG_LEVEL = 'info';
+
+export function isLogLevel(level) {
+    return LOG_LEVELS.includes(level);
+}
+
+// Whether a message at `level` passes a `minimum` level; no minimum passes everything
+export function meetsLevel(level, minimum) {
+    return !minimum || LOG_LEVELS.indexOf(level) >= LOG_LEVELS.indexOf(minimum);
+}
+
+/**
+ * Create a session's log function, `log(level, logger, data)`, where
+ * `logger` names the source (e.g. a tool) and `data` is any
+ * JSON-serializable value.
+ *
+ * @param {object} options
+ * @param {() => string | undefined} options.clientLevel Level the client asked for, if any
+ * @param {(notification: object) => unknown} [options.notify] Sends a notification to the client
+ * @param {(entry: object) => void} options.write Writes a structured entry to the server's log
+ * @param {string} [options.serverLevel] Minimum level written to the server's log
+ * @param {object} [options.fields] Extra fields for every server log entry, e.g. the session id
+ */
+export function createLogger({ clientLevel, notify, write, serverLevel = DEFAULT_LOG_LEVEL, fields = {} }) {
+    return async (level, logger, data) => {
+        if (meetsLevel(level, serverLevel)) {
+            write({ time: new Date().toISOString(), level, logger, ...fields, data });
+        }
+        if (notify && meetsLevel(level, clientLevel())) {
+            try {
+                await notify({ method: 'notifications/message', params: { level, logger, data } });
+            } catch (error) {
+                // A client that has gone away must not fail the work being logged
+            }
+        }
+    };
+}
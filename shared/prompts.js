@@ -0,0 +1,205 @@
+/**
+ * Prompt templates defined as Markdown files with YAML front-matter.
+ *
+ * The front-matter declares the prompt's name, description, and arguments
+ * (each with an optional `required` flag, `default`, and `completions`, a
+ * list of suggested values offered through completion/complete). The body is a
+ * Mustache template: `{{name}}` inserts an argument and
+ * `{{#name}}...{{/name}}` renders only when it is set. Lines of the form
+ * `<!-- user -->` or `<!-- assistant -->` split the body into messages;
+ * without them the whole body is one user message.
+ *
+ * A marker may name a content type other than text, with its fields as
+ * attributes (also templates):
+ * - `<!-- user resource uri="file:///x.js" mimeType="text/javascript" -->`
+ *   embeds the message body as the text of a resource.
+ * - `<!-- user image mimeType="image/png" -->` sends the body, base64
+ *   image data, as an image.
+ *
+ * Two lambdas map a language name to file details for embedded code:
+ * `{{#languageExtension}}{{language}}{{/languageExtension}}` gives e.g.
+ * `py`, and `{{#languageMimeType}}{{language}}{{/languageMimeType}}`
+ * gives `text/x-python`.
+ *
+ *     ---
+ *     name: explain-concept
+ *     description: A prompt template for explaining technical concepts
+ *     arguments:
+ *       - name: concept
+ *         description: The concept to explain
+ *         required: true
+ *       - name: level
+ *         description: Expertise level
+ *         default: beginner
+ *         completions: [beginner, intermediate, advanced]
+ *     ---
+ *     Explain the concept of "{{concept}}" for a {{level}} level audience.
+ */
+
+import Mustache from 'mustache';
+import { parse as parseYaml } from 'yaml';
+
+const FRONT_MATTER = /^---\r?\n([\s\S]*?)\r?\n---\r?\n?([\s\S]*)$/;
+const MESSAGE_MARKER = /^<!--\s*(user|assistant)(?:\s+(text|image|resource))?((?:\s+[\w-]+="[^"]*")*)\s*-->[ \t]*$/gm;
+const ATTRIBUTE = /([\w-]+)="([^"]*)"/g;
+
+// Attributes each content type requires
+const REQUIRED_ATTRIBUTES = {
+    text: [],
+    image: ['mimeType'],
+    resource: ['uri'],
+};
+
+// File extension and MIME type by language name, for embedding code as a resource
+const LANGUAGES = {
+    javascript: ['js', 'text/javascript'],
+    js: ['js', 'text/javascript'],
+    typescript: ['ts', 'text/x-typescript'],
+    ts: ['ts', 'text/x-typescript'],
+    python: ['py', 'text/x-python'],
+    py: ['py', 'text/x-python'],
+    java: ['java', 'text/x-java'],
+    kotlin: ['kt', 'text/x-kotlin'],
+    c: ['c', 'text/x-c'],
+    'c++': ['cpp', 'text/x-c++'],
+    cpp: ['cpp', 'text/x-c++'],
+    'c#': ['cs', 'text/x-csharp'],
+    csharp: ['cs', 'text/x-csharp'],
+    go: ['go', 'text/x-go'],
+    rust: ['rs', 'text/x-rust'],
+    ruby: ['rb', 'text/x-ruby'],
+    php: ['php', 'text/x-php'],
+    swift: ['swift', 'text/x-swift'],
+    shell: ['sh', 'text/x-shellscript'],
+    bash: ['sh', 'text/x-shellscript'],
+    sql: ['sql', 'application/sql'],
+    html: ['html', 'text/html'],
+    css: ['css', 'text/css'],
+    json: ['json', 'application/json'],
+    yaml: ['yaml', 'application/yaml'],
+    markdown: ['md', 'text/markdown'],
+};
+const UNKNOWN_LANGUAGE = ['txt', 'text/plain'];
+
+function languageInfo(language) {
+    return LANGUAGES[language.trim().toLowerCase()] || UNKNOWN_LANGUAGE;
+}
+
+// Helpers available to every template; arguments with the same name win
+const HELPERS = {
+    languageExtension: () => (text, render) => languageInfo(render(text))[0],
+    languageMimeType: () => (text, render) => languageInfo(render(text))[1],
+};
+
+// Arguments are inserted verbatim; prompts are not HTML
+const RENDER_CONFIG = { escape: (value) => String(value) };
+
+/**
+ * Split a template body into messages at the markers. Each message is
+ * `{ role, type, attributes, template }`; text before the first marker is
+ * a user text message.
+ */
+function splitMessages(body) {
+    const markers = [...body.matchAll(MESSAGE_MARKER)];
+    const messages = [];
+
+    const leading = body.slice(0, markers.length > 0 ? markers[0].index : body.length).trim();
+    if (leading) messages.push({ role: 'user', type: 'text', attributes: {}, template: leading });
+
+    markers.forEach((marker, i) => {
+        const [text, role, type = 'text', attributeText] = marker;
+        const end = i + 1 < markers.length ? markers[i + 1].index : body.length;
+        const attributes = Object.fromEntries([...attributeText.matchAll(ATTRIBUTE)].map(([, key, value]) => [key, value]));
+        messages.push({ role, type, attributes, template: body.slice(marker.index + text.length, end).trim() });
+    });
+    return messages;
+}
+
+// Build a message's content block from its rendered template and attributes
+function renderContent({ type, attributes, template }, render) {
+    switch (type) {
+        case 'image':
+            return { type: 'image', data: render(template).replace(/\s+/g, ''), mimeType: render(attributes.mimeType) };
+        case 'resource': {
+            const resource = { uri: render(attributes.uri), text: render(template) };
+            if (attributes.mimeType) resource.mimeType = render(attributes.mimeType);
+            return { type: 'resource', resource };
+        }
+        default:
+            return { type: 'text', text: render(template) };
+    }
+}
+
+/**
+ * Parse a prompt file.
+ *
+ * @param {string} text File contents
+ * @param {string} [fallbackName] Name to use if the front-matter has none, e.g. the file name
+ * @returns {{ name: string, description?: string, arguments: object[], messages: object[] }}
+ * @throws {Error} If the front-matter is missing or malformed
+ */
+export function parsePrompt(text, fallbackName) {
+    const match = text.match(FRONT_MATTER);
+    if (!match) {
+        throw new Error(fallbackName ? `Prompt ${fallbackName} has no front-matter` : 'Prompt has no front-matter');
+    }
+
+    const meta = parseYaml(match[1]) || {};
+    const name = meta.name || fallbackName;
+    if (!name) {
+        throw new Error('Prompt has no name');
+    }
+
+    const args = (meta.arguments || []).map((arg) => {
+        if (!arg || typeof arg.name !== 'string') {
+            throw new Error(`Prompt ${name} has an argument without a name`);
+        }
+        if (arg.completions !== undefined && !Array.isArray(arg.completions)) {
+            throw new Error(`Prompt ${name} argument ${arg.name} has completions that are not a list`);
+        }
+        return { ...arg, required: arg.required === true };
+    });
+
+    const messages = splitMessages(match[2]);
+    if (messages.length === 0) {
+        throw new Error(`Prompt ${name} has no messages`);
+    }
+    // Surface template errors when the file is loaded, not when it is used
+    for (const { type, attributes, template } of messages) {
+        for (const attribute of REQUIRED_ATTRIBUTES[type]) {
+            if (!attributes[attribute]) {
+                throw new Error(`Prompt ${name} has a ${type} message without ${attribute}`);
+            }
+        }
+        [template, ...Object.values(attributes)].forEach((t) => Mustache.parse(t));
+    }
+
+    return { name, description: meta.description, arguments: args, messages };
+}
+
+/**
+ * Arguments a call is missing, as `{ path, message }` errors like the
+ * ones tool argument validation produces.
+ */
+export function missingArguments(prompt, args = {}) {
+    return prompt.arguments
+        .filter((arg) => arg.required && (args[arg.name] === undefined || args[arg.name] === ''))
+        .map((arg) => ({ path: `/${arg.name}`, message: 'is required' }));
+}
+
+/**
+ * Render a prompt's messages with `args`, filling in declared defaults.
+ * Check missingArguments() first; this does not.
+ */
+export function renderPrompt(prompt, args = {}) {
+    const view = { ...HELPERS };
+    for (const arg of prompt.arguments) {
+        view[arg.name] = args[arg.name] ?? arg.default;
+    }
+    const render = (template) => Mustache.render(template, view, {}, RENDER_CONFIG);
+
+    return prompt.messages.map((message) => ({
+        role: message.role,
+        content: renderContent(message, render),
+    }));
+}
@@ -0,0 +1,1147 @@
+/**
+ * Simplest MCP Server - Capability Registry
+ *
+ * Transport-agnostic definitions of every prompt, tool, and resource the
+ * server exposes, together with their handlers. The stdio server
+ * (local/server.js) and the Cloudflare Worker (remote/src/worker.js) are
+ * thin adapters over this module, so anything registered here is
+ * available on both.
+ *
+ * Tool arguments are validated against each tool's `inputSchema` before
+ * its handler runs.
+ *
+ * Data is not read directly: callers pass a data source with
+ * `loadPrompts()`, `loadQuotes()`, and `loadFacts()` so the local server
+ * can read the files on disk while the Worker serves bundled copies. The
+ * source also carries `weather`, the provider behind get-weather (see
+ * shared/weather.js). A source may also provide `files`, a directory-backed
+ * provider whose files are exposed as `files://` resources (local/files.js;
+ * the Worker has no filesystem).
+ *
+ * Prompts are parsed from the Markdown templates in prompts/ (see
+ * shared/prompts.js).
+ */
+
+import { validate } from './schema.js';
+import { missingArguments, renderPrompt } from './prompts.js';
+import { convertTemperature } from './weather.js';
+import { evaluate, variableNames } from './calculator.js';
+import {
+    CASES,
+    DIFF_GRANULARITIES,
+    ENCODINGS,
+    convertCase,
+    countText,
+    decodeText,
+    diffText,
+    encodeText,
+    findReplace,
+    formatDiff,
+    reverseText,
+    slugify,
+} from './text.js';
+import { ID_TYPES, NANOID_SIZE, UUID_NAMESPACES, nanoid, ulid, uuidV4, uuidV5, uuidV7 } from './ids.js';
+
+// JSON-RPC error codes used by the registry
+export const ErrorCode = {
+    ParseError: -32700,
+    InvalidRequest: -32600,
+    MethodNotFound: -32601,
+    InvalidParams: -32602,
+    InternalError: -32603,
+};
+
+// Error carrying a JSON-RPC code; the SDK and the Worker both forward `code`
+export class RpcError extends Error {
+    constructor(code, message, data) {
+        super(message);
+        this.name = 'RpcError';
+        this.code = code;
+        this.data = data;
+    }
+}
+
+function pickRandom(items) {
+    return items[Math.floor(Math.random() * items.length)];
+}
+
+function textContent(text) {
+    return [{ type: 'text', text }];
+}
+
+// Wait `ms`, rejecting early if `signal` aborts
+function sleep(ms, signal) {
+    return new Promise((resolve, reject) => {
+        if (signal?.aborted) return reject(new Error('Cancelled'));
+        const timer = setTimeout(resolve, ms);
+        signal?.addEventListener('abort', () => {
+            clearTimeout(timer);
+            reject(new Error('Cancelled'));
+        }, { once: true });
+    });
+}
+
+// Prompt messages as sampling messages, which carry only text, images, and
+// audio: embedded resources are inlined as text
+function toSamplingMessages(messages) {
+    return messages.map(({ role, content }) => {
+        if (content.type !== 'resource') return { role, content };
+        const { uri, text = '' } = content.resource;
+        return { role, content: { type: 'text', text: `${uri}:\n\n${text}` } };
+    });
+}
+
+// Text of a sampling/createMessage result
+function sampledText(result) {
+    const text = [result.content].flat()
+        .filter((content) => content?.type === 'text')
+        .map((content) => content.text)
+        .join('\n');
+    if (!text) {
+        throw new Error('The client\'s model returned no text');
+    }
+    return text;
+}
+
+// Operator for each operation of calculate's legacy { operation, a, b } form
+const OPERATORS = { add: '+', subtract: '-', multiply: '*', divide: '/' };
+
+// Longest text the text tools accept, in characters
+const MAX_TEXT_LENGTH = 100000;
+// Most IDs generate-uuid returns per call
+const MAX_IDS = 1000;
+// Largest maxTokens the sampling tools request
+const MAX_SAMPLING_TOKENS = 8000;
+// Resources summarize-resource accepts, by URI scheme
+const SUMMARIZABLE_SCHEMES = ['quotes://', 'facts://'];
+
+// Define tools
+const TOOLS = [
+    {
+        name: 'calculate',
+        description: 'Evaluate an arithmetic expression exactly, e.g. "(1 + 2) * sqrt(x) ^ 2 % 5". ' +
+            'Supports + - * / % ^, parentheses, variables, pi, e, and functions such as abs, sqrt, round, min, max, ln, log, and sin. ' +
+            'Variables missing from `variables` are asked for with elicitation if the client supports it. ' +
+            'The older { operation, a, b } form is still accepted.',
+        inputSchema: {
+            type: 'object',
+            properties: {
+                expression: { type: 'string', description: 'Expression to evaluate', minLength: 1, maxLength: 1000 },
+                variables: {
+                    type: 'object',
+                    description: 'Values for names used in the expression, as numbers or decimal strings such as "0.075"',
+                    additionalProperties: { type: ['number', 'string'] },
+                },
+                precision: {
+                    type: 'integer',
+                    description: 'Significant digits kept by inexact operations such as 1 / 3 (default 34)',
+                    minimum: 1,
+                    maximum: 200,
+                },
+                operation: {
+                    type: 'string',
+                    description: 'Legacy form: the operation to perform on a and b',
+                    enum: ['add', 'subtract', 'multiply', 'divide'],
+                },
+                a: { type: 'number', description: 'Legacy form: first number' },
+                b: { type: 'number', description: 'Legacy form: second number' },
+            },
+            anyOf: [{ required: ['expression'] }, { required: ['operation', 'a', 'b'] }],
+        },
+        outputSchema: {
+            type: 'object',
+            properties: {
+                expression: { type: 'string', description: 'The expression in normalized form' },
+                exact: { type: 'string', description: 'Result as a decimal string, without floating-point rounding' },
+                result: { type: 'number', description: 'Result as a number; omitted if it does not fit in a double' },
+                operation: { type: 'string', description: 'Legacy form: the operation performed' },
+                a: { type: 'number', description: 'Legacy form: first number' },
+                b: { type: 'number', description: 'Legacy form: second number' },
+            },
+            required: ['expression', 'exact'],
+        },
+        async handler(args, context) {
+            const { operation, a, b } = args;
+            const legacy = args.expression === undefined;
+            const expression = legacy ? `(${a}) ${OPERATORS[operation]} (${b})` : args.expression;
+
+            let variables = args.variables || {};
+            const missing = variableNames(expression).filter((name) => !Object.hasOwn(variables, name));
+            if (missing.length > 0) {
+                const values = await context.elicit(`What values should ${missing.join(', ')} have in ${expression}?`, {
+                    type: 'object',
+                    properties: Object.fromEntries(missing.map((name) => [name, { type: 'number', title: name }])),
+                    required: missing,
+                });
+                variables = { ...variables, ...values };
+            }
+
+            const evaluated = evaluate(expression, { variables, precision: args.precision });
+            const structuredContent = { expression: evaluated.expression, exact: evaluated.result };
+            const result = Number(evaluated.result);
+            if (Number.isFinite(result)) structuredContent.result = result;
+
+            if (legacy) {
+                return {
+                    content: textContent(`Result: ${a} ${operation} ${b} = ${evaluated.result}`),
+                    structuredContent: { ...structuredContent, operation, a, b },
+                };
+            }
+            return {
+                content: textContent(`${evaluated.expression} = ${evaluated.result}`),
+                structuredContent,
+            };
+        },
+    },
+    {
+        name: 'generate-uuid',
+        description: 'Generate one or more IDs: random UUID v4 (default), time-ordered UUID v7 or ULID, name-based UUID v5, or nanoid',
+        inputSchema: {
+            type: 'object',
+            properties: {
+                type: { type: 'string', enum: ID_TYPES, description: 'Kind of ID (default uuid-v4)' },
+                count: { type: 'integer', description: 'How many IDs to generate (default 1)', minimum: 1, maximum: MAX_IDS },
+                namespace: {
+                    type: 'string',
+                    description: `uuid-v5: a namespace UUID or one of ${Object.keys(UUID_NAMESPACES).join(', ')}`,
+                },
+                name: {
+                    type: ['string', 'array'],
+                    description: 'uuid-v5: the name to hash, or a list of names for one UUID each',
+                    items: { type: 'string' },
+                    minItems: 1,
+                    maxItems: MAX_IDS,
+                },
+                size: { type: 'integer', description: `nanoid: length (default ${NANOID_SIZE})`, minimum: 2, maximum: 256 },
+                alphabet: { type: 'string', description: 'nanoid: characters to draw from (default A-Za-z0-9_-)', minLength: 2, maxLength: 256 },
+            },
+        },
+        outputSchema: {
+            type: 'object',
+            properties: {
+                type: { type: 'string', description: 'Kind of ID generated' },
+                ids: { type: 'array', items: { type: 'string' }, description: 'The generated IDs, in creation order' },
+                uuid: { type: 'string', description: 'The first ID, for UUID types' },
+            },
+            required: ['type', 'ids'],
+        },
+        async handler(args) {
+            const { type = 'uuid-v4', count = 1 } = args;
+
+            let ids;
+            if (type === 'uuid-v5') {
+                if (args.namespace === undefined || args.name === undefined) {
+                    throw new Error('uuid-v5 needs a namespace and a name');
+                }
+                if (args.count !== undefined) {
+                    throw new Error('uuid-v5 is deterministic, so count does not apply; pass a list of names instead');
+                }
+                const names = Array.isArray(args.name) ? args.name : [args.name];
+                ids = await Promise.all(names.map((name) => uuidV5(args.namespace, name)));
+            } else {
+                const generate = {
+                    'uuid-v4': uuidV4,
+                    'uuid-v7': uuidV7,
+                    ulid,
+                    nanoid: () => nanoid(args.size, args.alphabet),
+                }[type];
+                ids = Array.from({ length: count }, () => generate());
+            }
+
+            const structuredContent = { type, ids };
+            if (type.startsWith('uuid-')) structuredContent.uuid = ids[0];
+            const label = { ulid: 'ULID', nanoid: 'nanoid' }[type] || `UUID ${type.slice(5)}`;
+            return {
+                content: textContent(ids.length === 1
+                    ? `Generated ${type === 'uuid-v4' ? 'UUID' : label}: ${ids[0]}`
+                    : `Generated ${ids.length} × ${label}:\n${ids.join('\n')}`),
+                structuredContent,
+            };
+        },
+    },
+    {
+        name: 'get-weather',
+        description: 'Get the current weather and a daily forecast for a city',
+        inputSchema: {
+            type: 'object',
+            properties: {
+                city: { type: 'string', description: 'City name; asked for with elicitation if omitted and the client supports it', minLength: 1 },
+                units: { type: 'string', description: 'Temperature units: C (default) or F', enum: ['C', 'F'] },
+                days: { type: 'integer', description: 'Days of forecast, including today (1-7, default 1)', minimum: 1, maximum: 7 },
+            },
+        },
+        outputSchema: {
+            type: 'object',
+            properties: {
+                city: { type: 'string', description: 'City name' },
+                condition: { type: 'string', description: 'Current weather condition, e.g. Sunny' },
+                temperature: { type: 'number', description: 'Current temperature in the requested units' },
+                temperatureC: { type: 'number', description: 'Current temperature in degrees Celsius' },
+                units: { type: 'string', enum: ['C', 'F'] },
+                forecast: {
+                    type: 'array',
+                    description: 'Daily forecast, starting today',
+                    items: {
+                        type: 'object',
+                        properties: {
+                            date: { type: 'string', description: 'ISO date' },
+                            condition: { type: 'string' },
+                            high: { type: 'number', description: 'High in the requested units' },
+                            low: { type: 'number', description: 'Low in the requested units' },
+                        },
+                        required: ['date', 'condition', 'high', 'low'],
+                    },
+                },
+                provider: { type: 'string', description: 'Weather backend that answered, e.g. fixture' },
+                simulated: { type: 'boolean', description: 'Whether the data is simulated' },
+            },
+            required: ['city', 'condition', 'temperature', 'temperatureC', 'units', 'forecast', 'provider', 'simulated'],
+        },
+        async handler(args, context, source) {
+            const { units = 'C', days = 1 } = args;
+            const { city } = args.city === undefined
+                ? await context.elicit('Which city do you want the weather for?', {
+                    type: 'object',
+                    properties: { city: { type: 'string', title: 'City', description: 'City name, e.g. Dhaka', minLength: 1 } },
+                    required: ['city'],
+                })
+                : args;
+            await context.log('debug', { message: 'Fetching forecast', provider: source.weather.name, city, days });
+            const weather = await source.weather.forecast(city, days, { signal: context.signal });
+
+            const temperature = convertTemperature(weather.current.temperatureC, units);
+            const forecast = weather.daily.map((day) => ({
+                date: day.date,
+                condition: day.condition,
+                high: convertTemperature(day.highC, units),
+                low: convertTemperature(day.lowC, units),
+            }));
+
+            const lines = [
+                `Weather in ${weather.city}:`,
+                `Condition: ${weather.current.condition}`,
+                `Temperature: ${temperature}°${units}`,
+            ];
+            if (days > 1) {
+                lines.push('Forecast:', ...forecast.map((d) => `  ${d.date}: ${d.condition}, ${d.low}–${d.high}°${units}`));
+            }
+            if (weather.simulated) {
+                lines.push('(Note: This is simulated data)');
+            }
+
+            return {
+                content: textContent(lines.join('\n')),
+                structuredContent: {
+                    city: weather.city,
+                    condition: weather.current.condition,
+                    temperature,
+                    temperatureC: weather.current.temperatureC,
+                    units,
+                    forecast,
+                    provider: source.weather.name,
+                    simulated: weather.simulated,
+                },
+            };
+        },
+    },
+    {
+        name: 'reverse-string',
+        description: 'Reverse a given string, keeping emoji and accented characters intact',
+        inputSchema: {
+            type: 'object',
+            properties: {
+                text: { type: 'string', description: 'Text to reverse' },
+            },
+            required: ['text'],
+        },
+        outputSchema: {
+            type: 'object',
+            properties: {
+                original: { type: 'string', description: 'The input text' },
+                reversed: { type: 'string', description: 'The reversed text' },
+            },
+            required: ['original', 'reversed'],
+        },
+        handler(args) {
+            const { text } = args;
+            const reversed = reverseText(text);
+            return {
+                content: textContent(`Original: ${text}\nReversed: ${reversed}`),
+                structuredContent: { original: text, reversed },
+            };
+        },
+    },
+    {
+        name: 'count-text',
+        description: 'Count the characters, words, sentences, lines, and bytes in a text, with a rough LLM token estimate',
+        inputSchema: {
+            type: 'object',
+            properties: {
+                text: { type: 'string', description: 'Text to count', maxLength: MAX_TEXT_LENGTH },
+            },
+            required: ['text'],
+        },
+        outputSchema: {
+            type: 'object',
+            properties: {
+                characters: { type: 'integer', description: 'User-perceived characters (grapheme clusters)' },
+                codePoints: { type: 'integer', description: 'Unicode code points' },
+                bytes: { type: 'integer', description: 'Length in UTF-8 bytes' },
+                words: { type: 'integer', description: 'Words' },
+                sentences: { type: 'integer', description: 'Sentences' },
+                lines: { type: 'integer', description: 'Lines' },
+                estimatedTokens: { type: 'integer', description: 'Rough LLM token count, at about 4 characters per token' },
+            },
+            required: ['characters', 'codePoints', 'bytes', 'words', 'sentences', 'lines', 'estimatedTokens'],
+        },
+        handler(args) {
+            const counts = countText(args.text);
+            const summary = Object.entries(counts).map(([key, value]) => `${key}: ${value}`).join(', ');
+            return {
+                content: textContent(summary),
+                structuredContent: counts,
+            };
+        },
+    },
+    {
+        name: 'convert-case',
+        description: 'Convert text to lower, upper, title, or sentence case, or to an identifier style such as camelCase or snake_case',
+        inputSchema: {
+            type: 'object',
+            properties: {
+                text: { type: 'string', description: 'Text to convert', maxLength: MAX_TEXT_LENGTH },
+                case: { type: 'string', enum: CASES, description: 'Target case' },
+            },
+            required: ['text', 'case'],
+        },
+        outputSchema: {
+            type: 'object',
+            properties: {
+                case: { type: 'string', description: 'The case converted to' },
+                result: { type: 'string', description: 'The converted text' },
+            },
+            required: ['case', 'result'],
+        },
+        handler(args) {
+            const result = convertCase(args.text, args.case);
+            return {
+                content: textContent(result),
+                structuredContent: { case: args.case, result },
+            };
+        },
+    },
+    {
+        name: 'slugify',
+        description: 'Turn text into a URL slug, e.g. "Crème Brûlée!" becomes "creme-brulee"',
+        inputSchema: {
+            type: 'object',
+            properties: {
+                text: { type: 'string', description: 'Text to slugify', maxLength: MAX_TEXT_LENGTH },
+                separator: { type: 'string', description: 'Word separator (default "-")', maxLength: 5 },
+                maxLength: { type: 'integer', description: 'Maximum slug length, cut at a word boundary where possible', minimum: 1 },
+            },
+            required: ['text'],
+        },
+        outputSchema: {
+            type: 'object',
+            properties: {
+                slug: { type: 'string', description: 'The slug' },
+            },
+            required: ['slug'],
+        },
+        handler(args) {
+            const slug = slugify(args.text, { separator: args.separator, maxLength: args.maxLength });
+            return {
+                content: textContent(slug),
+                structuredContent: { slug },
+            };
+        },
+    },
+    {
+        name: 'diff-text',
+        description: 'Show the differences between two texts, by line, word, or character',
+        inputSchema: {
+            type: 'object',
+            properties: {
+                before: { type: 'string', description: 'Original text', maxLength: MAX_TEXT_LENGTH },
+                after: { type: 'string', description: 'Changed text', maxLength: MAX_TEXT_LENGTH },
+                granularity: { type: 'string', enum: DIFF_GRANULARITIES, description: 'Unit to compare (default line)' },
+            },
+            required: ['before', 'after'],
+        },
+        outputSchema: {
+            type: 'object',
+            properties: {
+                diff: { type: 'string', description: 'Readable diff: +/- lines, or [-removed-]{+added+} inline' },
+                changes: {
+                    type: 'array',
+                    description: 'The texts as runs of unchanged, removed, and added text',
+                    items: {
+                        type: 'object',
+                        properties: {
+                            type: { type: 'string', enum: ['equal', 'delete', 'insert'] },
+                            value: { type: 'string' },
+                        },
+                        required: ['type', 'value'],
+                    },
+                },
+                insertions: { type: 'integer', description: 'Lines, words, or characters added' },
+                deletions: { type: 'integer', description: 'Lines, words, or characters removed' },
+            },
+            required: ['diff', 'changes', 'insertions', 'deletions'],
+        },
+        handler(args) {
+            const { before, after, granularity = 'line' } = args;
+            const { changes, insertions, deletions } = diffText(before, after, granularity);
+            const diff = formatDiff(changes, granularity);
+            const summary = insertions + deletions === 0
+                ? 'The texts are identical'
+                : `${insertions} ${granularity}(s) added, ${deletions} removed:\n${diff}`;
+            return {
+                content: textContent(summary),
+                structuredContent: { diff, changes, insertions, deletions },
+            };
+        },
+    },
+    {
+        name: 'find-replace',
+        description: 'Find the matches of a regular expression in a text, and optionally replace them',
+        inputSchema: {
+            type: 'object',
+            properties: {
+                text: { type: 'string', description: 'Text to search', maxLength: MAX_TEXT_LENGTH },
+                pattern: { type: 'string', description: 'Regular expression in JavaScript syntax, without slashes. Matched with RE2, so backreferences and lookaround are not supported', minLength: 1, maxLength: 1000 },
+                flags: { type: 'string', description: 'Any of i, m, s, u (matching is always global)', pattern: '^[gimsu]*$' },
+                replacement: { type: 'string', description: 'Replacement; $& is the match, $1 or $<name> a group. Omit to only find' },
+            },
+            required: ['text', 'pattern'],
+        },
+        outputSchema: {
+            type: 'object',
+            properties: {
+                count: { type: 'integer', description: 'Number of matches' },
+                matches: {
+                    type: 'array',
+                    description: 'The first 1000 matches',
+                    items: {
+                        type: 'object',
+                        properties: {
+                            match: { type: 'string' },
+                            index: { type: 'integer', description: 'Offset in UTF-16 code units' },
+                            groups: { type: 'object', description: 'Named groups, if the pattern has any' },
+                        },
+                        required: ['match', 'index'],
+                    },
+                },
+                truncated: { type: 'boolean', description: 'Whether matches were left out of the list' },
+                result: { type: 'string', description: 'The text after replacement, if a replacement was given' },
+            },
+            required: ['count', 'matches', 'truncated'],
+        },
+        handler(args) {
+            let found;
+            try {
+                found = findReplace(args.text, args.pattern, { flags: args.flags, replacement: args.replacement });
+            } catch (error) {
+                // Turn pattern syntax errors into plain tool errors
+                throw new Error(error instanceof SyntaxError ? `Invalid pattern: ${error.message}` : error.message);
+            }
+            const summary = found.result === undefined
+                ? `${found.count} match(es)${found.matches.map((m) => `\n${m.index}: ${m.match}`).join('')}`
+                : `${found.count} replacement(s):\n${found.result}`;
+            return {
+                content: textContent(summary),
+                structuredContent: found,
+            };
+        },
+    },
+    {
+        name: 'encode-text',
+        description: 'Encode text as base64, base64url, hex, or URL percent-encoding, or decode it back',
+        inputSchema: {
+            type: 'object',
+            properties: {
+                text: { type: 'string', description: 'Text to encode, or encoded text to decode', maxLength: MAX_TEXT_LENGTH },
+                encoding: { type: 'string', enum: ENCODINGS, description: 'Encoding; text is treated as UTF-8' },
+                direction: { type: 'string', enum: ['encode', 'decode'], description: 'Whether to encode or decode (default encode)' },
+            },
+            required: ['text', 'encoding'],
+        },
+        outputSchema: {
+            type: 'object',
+            properties: {
+                encoding: { type: 'string' },
+                direction: { type: 'string' },
+                result: { type: 'string', description: 'The encoded or decoded text' },
+            },
+            required: ['encoding', 'direction', 'result'],
+        },
+        handler(args) {
+            const { text, encoding, direction = 'encode' } = args;
+            const result = direction === 'decode' ? decodeText(text, encoding) : encodeText(text, encoding);
+            return {
+                content: textContent(result),
+                structuredContent: { encoding, direction, result },
+            };
+        },
+    },
+    {
+        name: 'long-running-operation',
+        description: 'Demonstrate progress notifications and cancellation: works through a number of steps, reporting progress after each',
+        inputSchema: {
+            type: 'object',
+            properties: {
+                duration: { type: 'number', description: 'Total duration in seconds (default 5)', minimum: 0, maximum: 60 },
+                steps: { type: 'integer', description: 'Number of steps (default 5)', minimum: 1, maximum: 100 },
+            },
+        },
+        outputSchema: {
+            type: 'object',
+            properties: {
+                duration: { type: 'number', description: 'Duration in seconds' },
+                steps: { type: 'integer', description: 'Steps completed' },
+            },
+            required: ['duration', 'steps'],
+        },
+        async handler(args, context) {
+            const { duration = 5, steps = 5 } = args;
+            for (let step = 1; step <= steps; step++) {
+                await sleep((duration * 1000) / steps, context.signal);
+                await context.log('debug', `Finished step ${step} of ${steps}`);
+                await context.sendProgress(step, steps, `Step ${step} of ${steps}`);
+            }
+            return {
+                content: textContent(`Long-running operation completed: ${steps} steps in ${duration} seconds`),
+                structuredContent: { duration, steps },
+            };
+        },
+    },
+    {
+        name: 'summarize-resource',
+        description: 'Summarize a quotes:// or facts:// resource using the client\'s model (needs a client that supports sampling)',
+        inputSchema: {
+            type: 'object',
+            properties: {
+                uri: { type: 'string', description: 'Resource to summarize, e.g. quotes://all or facts://category/programming' },
+                maxTokens: {
+                    type: 'integer',
+                    description: 'Longest summary to ask for, in tokens (default 300)',
+                    minimum: 1,
+                    maximum: MAX_SAMPLING_TOKENS,
+                },
+            },
+            required: ['uri'],
+        },
+        outputSchema: {
+            type: 'object',
+            properties: {
+                uri: { type: 'string' },
+                summary: { type: 'string' },
+                model: { type: 'string', description: 'Model that wrote the summary, as reported by the client' },
+            },
+            required: ['uri', 'summary', 'model'],
+        },
+        async handler(args, context, source) {
+            const { uri, maxTokens = 300 } = args;
+            if (!SUMMARIZABLE_SCHEMES.some((scheme) => uri.startsWith(scheme))) {
+                throw new Error(`Only ${SUMMARIZABLE_SCHEMES.join(' and ')} resources can be summarized, got ${uri}`);
+            }
+            const { contents } = await readResource(source, uri);
+
+            const result = await context.sample({
+                systemPrompt: 'You summarize data for a developer. Be accurate and brief, and do not invent entries.',
+                messages: [{
+                    role: 'user',
+                    content: { type: 'text', text: `Summarize this ${contents[0].mimeType} resource (${uri}) in one short paragraph:\n\n${contents[0].text}` },
+                }],
+                maxTokens,
+                includeContext: 'none',
+                modelPreferences: { speedPriority: 0.8, intelligencePriority: 0.3 },
+            });
+            const summary = sampledText(result);
+            return {
+                content: textContent(summary),
+                structuredContent: { uri, summary, model: result.model },
+            };
+        },
+    },
+    {
+        name: 'auto-review',
+        description: 'Review code by running the code-review prompt through the client\'s model (needs a client that supports sampling)',
+        inputSchema: {
+            type: 'object',
+            properties: {
+                language: { type: 'string', description: 'Programming language, e.g. JavaScript' },
+                code: { type: 'string', description: 'Code to review', minLength: 1, maxLength: MAX_TEXT_LENGTH },
+                maxTokens: {
+                    type: 'integer',
+                    description: 'Longest review to ask for, in tokens (default 1500)',
+                    minimum: 1,
+                    maximum: MAX_SAMPLING_TOKENS,
+                },
+            },
+            required: ['language', 'code'],
+        },
+        outputSchema: {
+            type: 'object',
+            properties: {
+                language: { type: 'string' },
+                review: { type: 'string' },
+                model: { type: 'string', description: 'Model that wrote the review, as reported by the client' },
+            },
+            required: ['language', 'review', 'model'],
+        },
+        async handler(args, context, source) {
+            const { language, code, maxTokens = 1500 } = args;
+            const prompt = await getPrompt(source, 'code-review', { language, code });
+
+            const result = await context.sample({
+                messages: toSamplingMessages(prompt.messages),
+                maxTokens,
+                includeContext: 'none',
+                modelPreferences: { intelligencePriority: 0.8 },
+            });
+            const review = sampledText(result);
+            return {
+                content: textContent(review),
+                structuredContent: { language, review, model: result.model },
+            };
+        },
+    },
+];
+
+// Define resources
+const RESOURCES = [
+    {
+        uri: 'quotes://all',
+        name: 'Programming Quotes',
+        description: 'Collection of inspirational programming quotes',
+        mimeType: 'application/json',
+        read: (source) => source.loadQuotes(),
+    },
+    {
+        uri: 'facts://all',
+        name: 'Technology Facts',
+        description: 'Interesting facts about technology and programming',
+        mimeType: 'application/json',
+        read: (source) => source.loadFacts(),
+    },
+    {
+        uri: 'quotes://random',
+        name: 'Random Quote',
+        description: 'Get a random programming quote',
+        mimeType: 'application/json',
+        read: async (source) => pickRandom((await source.loadQuotes()).quotes),
+    },
+    {
+        uri: 'facts://random',
+        name: 'Random Fact',
+        description: 'Get a random technology fact',
+        mimeType: 'application/json',
+        read: async (source) => pickRandom((await source.loadFacts()).facts),
+    },
+];
+
+// Define resource templates (RFC 6570 level 1: each {name} matches one path segment).
+// `read` returns undefined when nothing matches the variables. `complete`
+// maps a variable name to a function listing its possible values.
+const RESOURCE_TEMPLATES = [
+    {
+        uriTemplate: 'quotes://author/{author}',
+        name: 'Quotes by Author',
+        description: 'All programming quotes by an author (case-insensitive, URL-encoded)',
+        mimeType: 'application/json',
+        complete: {
+            author: async (source) => (await source.loadQuotes()).quotes.map((q) => q.author),
+        },
+        async read(source, { author }) {
+            const { quotes } = await source.loadQuotes();
+            const matches = quotes.filter((q) => q.author.toLowerCase() === author.toLowerCase());
+            return matches.length > 0 ? { author: matches[0].author, quotes: matches } : undefined;
+        },
+    },
+    {
+        uriTemplate: 'quotes://{id}',
+        name: 'Quote by ID',
+        description: 'A single programming quote by its numeric id',
+        mimeType: 'application/json',
+        complete: {
+            id: async (source) => (await source.loadQuotes()).quotes.map((q) => q.id),
+        },
+        async read(source, { id }) {
+            const { quotes } = await source.loadQuotes();
+            return quotes.find((q) => String(q.id) === id);
+        },
+    },
+    {
+        uriTemplate: 'facts://category/{category}',
+        name: 'Facts by Category',
+        description: 'All technology facts in a category, e.g. programming or internet',
+        mimeType: 'application/json',
+        complete: {
+            category: async (source) => (await source.loadFacts()).facts.map((f) => f.category),
+        },
+        async read(source, { category }) {
+            const { facts } = await source.loadFacts();
+            const matches = facts.filter((f) => f.category.toLowerCase() === category.toLowerCase());
+            return matches.length > 0 ? { category: matches[0].category, facts: matches } : undefined;
+        },
+    },
+    {
+        uriTemplate: 'facts://{id}',
+        name: 'Fact by ID',
+        description: 'A single technology fact by its numeric id',
+        mimeType: 'application/json',
+        complete: {
+            id: async (source) => (await source.loadFacts()).facts.map((f) => f.id),
+        },
+        async read(source, { id }) {
+            const { facts } = await source.loadFacts();
+            return facts.find((f) => String(f.id) === id);
+        },
+    },
+];
+
+// URI scheme of directory-backed files, e.g. files://runbooks/deploy.md
+const FILE_SCHEME = 'files://';
+
+export function fileUri(path) {
+    return FILE_SCHEME + path.split('/').map(encodeURIComponent).join('/');
+}
+
+// Relative file path of a files:// URI, or null if it is malformed
+function filePath(uri) {
+    try {
+        return uri.slice(FILE_SCHEME.length).split('/').map(decodeURIComponent).join('/');
+    } catch (error) {
+        return null;
+    }
+}
+
+// Match a URI against a level 1 URI template; returns the decoded variables or null
+function matchTemplate(uriTemplate, uri) {
+    const names = [];
+    const pattern = uriTemplate
+        .split(/(\{[^}]+\})/)
+        .map((part) => {
+            if (part.startsWith('{')) {
+                names.push(part.slice(1, -1));
+                return '([^/]+)';
+            }
+            return part.replace(/[.*+?^$()|[\]\\]/g, '\\$&');
+        })
+        .join('');
+
+    const match = uri.match(new RegExp(`^${pattern}$`));
+    if (!match) return null;
+
+    try {
+        return Object.fromEntries(names.map((name, i) => [name, decodeURIComponent(match[i + 1])]));
+    } catch (error) {
+        // Malformed percent-encoding
+        return null;
+    }
+}
+
+// Most values one completion result may carry, per the MCP spec
+const MAX_COMPLETIONS = 100;
+
+// Completion result for the candidates starting with `prefix`, case-insensitively
+function completionResult(candidates, prefix = '') {
+    const needle = String(prefix).toLowerCase();
+    const values = [...new Set(candidates.map(String))].filter((value) => value.toLowerCase().startsWith(needle));
+    return {
+        completion: {
+            values: values.slice(0, MAX_COMPLETIONS),
+            total: values.length,
+            hasMore: values.length > MAX_COMPLETIONS,
+        },
+    };
+}
+
+// Page size for list results unless createRegistry() is given one
+const DEFAULT_PAGE_SIZE = 50;
+
+// Cursors are opaque to clients: base64-encoded JSON holding the next offset
+function encodeCursor(offset) {
+    return btoa(JSON.stringify({ offset }));
+}
+
+function decodeCursor(cursor) {
+    try {
+        const { offset } = JSON.parse(atob(cursor));
+        if (Number.isInteger(offset) && offset >= 0) return offset;
+    } catch (error) {
+        // Fall through to the error below
+    }
+    throw new RpcError(ErrorCode.InvalidParams, `Invalid cursor: ${cursor}`);
+}
+
+/**
+ * Return the page of `items` starting at `cursor`, under `key`, with a
+ * `nextCursor` if more items follow.
+ */
+function paginate(items, cursor, pageSize, key) {
+    const offset = cursor === undefined ? 0 : decodeCursor(cursor);
+    const end = offset + pageSize;
+    const page = { [key]: items.slice(offset, end) };
+    if (end < items.length) page.nextCursor = encodeCursor(end);
+    return page;
+}
+
+// Strip handlers so only protocol fields go over the wire
+function describePrompt({ name, description, arguments: args }) {
+    return {
+        name,
+        description,
+        arguments: args.map((arg) => ({ name: arg.name, description: arg.description, required: arg.required })),
+    };
+}
+
+function describeTool({ name, description, inputSchema, outputSchema }) {
+    return { name, description, inputSchema, outputSchema };
+}
+
+function describeResource({ uri, name, description, mimeType }) {
+    return { uri, name, description, mimeType };
+}
+
+function describeFile({ path, mimeType, size }) {
+    return { uri: fileUri(path), name: path, description: `File ${path}`, mimeType, size };
+}
+
+function describeResourceTemplate({ uriTemplate, name, description, mimeType }) {
+    return { uriTemplate, name, description, mimeType };
+}
+
+/**
+ * Render prompt `name` from `source` with `args`.
+ *
+ * @throws {RpcError} InvalidParams if the prompt does not exist or a required argument is missing
+ */
+async function getPrompt(source, name, args) {
+    const prompt = (await source.loadPrompts()).find((p) => p.name === name);
+    if (!prompt) {
+        throw new RpcError(ErrorCode.InvalidParams, `Prompt not found: ${name}`);
+    }
+
+    const errors = missingArguments(prompt, args);
+    if (errors.length > 0) {
+        const names = errors.map((e) => e.path.slice(1)).join(', ');
+        throw new RpcError(ErrorCode.InvalidParams, `Missing required arguments: ${names}`, { errors });
+    }
+
+    return { description: prompt.description, messages: renderPrompt(prompt, args) };
+}
+
+/**
+ * Read resource `uri` from `source`: a fixed resource, a file, or a match
+ * of a resource template.
+ *
+ * @throws {RpcError} InvalidParams if no resource matches
+ */
+async function readResource(source, uri) {
+    const json = (data, mimeType) => ({
+        contents: [{ uri, mimeType, text: JSON.stringify(data, null, 2) }],
+    });
+
+    // Fixed resources take precedence over templates (quotes://all is not an id)
+    const resource = RESOURCES.find((r) => r.uri === uri);
+    if (resource) {
+        return json(await resource.read(source), resource.mimeType);
+    }
+
+    if (source.files && uri.startsWith(FILE_SCHEME)) {
+        const path = filePath(uri);
+        const file = path && await source.files.read(path);
+        if (!file) {
+            throw new RpcError(ErrorCode.InvalidParams, `Resource not found: ${uri}`);
+        }
+        return { contents: [{ uri, ...file }] };
+    }
+
+    for (const template of RESOURCE_TEMPLATES) {
+        const variables = matchTemplate(template.uriTemplate, uri);
+        if (!variables) continue;
+
+        const data = await template.read(source, variables);
+        if (data !== undefined) {
+            return json(data, template.mimeType);
+        }
+    }
+
+    throw new RpcError(ErrorCode.InvalidParams, `Resource not found: ${uri}`);
+}
+
+/**
+ * Create a registry bound to a data source.
+ *
+ * The list operations are paginated: each takes the client's `cursor`
+ * (undefined for the first page) and returns at most `pageSize` items,
+ * plus a `nextCursor` while more remain.
+ *
+ * Tools only one server can offer, such as run-javascript on the local
+ * server, are passed in `tools` and listed after the shared ones.
+ *
+ * @param {{ loadPrompts: () => Promise<object[]>, loadQuotes: () => Promise<object>, loadFacts: () => Promise<object>, weather: object, files?: object }} source
+ * @param {{ pageSize?: number, tools?: object[] }} [options]
+ * @returns The MCP operations, each returning the protocol `result` object
+ */
+export function createRegistry(source, { pageSize = DEFAULT_PAGE_SIZE, tools: extraTools = [] } = {}) {
+    if (!Number.isInteger(pageSize) || pageSize < 1) {
+        throw new Error(`pageSize must be a positive integer, got ${pageSize}`);
+    }
+    const tools = [...TOOLS, ...extraTools];
+
+    return {
+        async listPrompts(cursor) {
+            const prompts = await source.loadPrompts();
+            return paginate(prompts.map(describePrompt), cursor, pageSize, 'prompts');
+        },
+
+        /**
+         * @throws {RpcError} InvalidParams if the prompt does not exist or a required argument is missing
+         */
+        async getPrompt(name, args = {}) {
+            return getPrompt(source, name, args);
+        },
+
+        /**
+         * Suggest values for a prompt argument or resource template variable.
+         *
+         * @param {{ type: 'ref/prompt', name: string } | { type: 'ref/resource', uri: string }} ref
+         * @param {{ name: string, value: string }} argument The argument and what has been typed so far
+         * @throws {RpcError} InvalidParams if the prompt or template does not exist
+         */
+        async complete(ref = {}, argument = {}) {
+            if (ref.type === 'ref/prompt') {
+                const prompt = (await source.loadPrompts()).find((p) => p.name === ref.name);
+                if (!prompt) {
+                    throw new RpcError(ErrorCode.InvalidParams, `Prompt not found: ${ref.name}`);
+                }
+                const arg = prompt.arguments.find((a) => a.name === argument.name);
+                return completionResult(arg?.completions || [], argument.value);
+            }
+
+            if (ref.type === 'ref/resource') {
+                const template = RESOURCE_TEMPLATES.find((t) => t.uriTemplate === ref.uri);
+                if (!template) {
+                    throw new RpcError(ErrorCode.InvalidParams, `Resource template not found: ${ref.uri}`);
+                }
+                const list = template.complete?.[argument.name];
+                return completionResult(list ? await list(source) : [], argument.value);
+            }
+
+            throw new RpcError(ErrorCode.InvalidParams, `Unknown completion reference type: ${ref.type}`);
+        },
+
+        /**
+         * @param {(tool: object) => boolean} [include] Filter applied before paging,
+         *   so pages stay full when some tools are hidden from the caller
+         */
+        async listTools(cursor, include = () => true) {
+            return paginate(tools.filter(include).map(describeTool), cursor, pageSize, 'tools');
+        },
+
+        /**
+         * @param {object} [context] Per-call context from the transport:
+         *   - `state`: scratch space that persists for the session
+         *   - `signal`: AbortSignal that aborts when the client cancels the call
+         *   - `progressToken`: the request's `_meta.progressToken`, if any
+         *   - `notify(notification)`: sends a notification tied to this request
+         *   - `log(level, logger, data)`: the session's logger (shared/logging.js)
+         *   - `clientCapabilities`: what the client declared in initialize
+         *   - `request(method, params)`: sends a request to the client tied to
+         *     this one and resolves to its result
+         *   - `roots()`: resolves to the client's roots (local server only; see
+         *     local/roots.js)
+         *   Handlers also get `sendProgress(progress, total?, message?)`, which
+         *   emits `notifications/progress` when the client asked for progress
+         *   and does nothing otherwise, `log(level, data)`, which logs under
+         *   the tool's name, `sample(params)`, which sends
+         *   `sampling/createMessage` and throws if the client cannot sample,
+         *   and `elicit(message, requestedSchema)`, which asks the user for
+         *   missing input (see below).
+         * @throws {RpcError} InvalidParams if the arguments do not match the tool's inputSchema
+         */
+        async callTool(name, args = {}, context = {}) {
+            const tool = tools.find((t) => t.name === name);
+
+            if (tool) {
+                const errors = validate(tool.inputSchema, args);
+                if (errors.length > 0) {
+                    const details = errors.map((e) => `${e.path} ${e.message}`).join('; ');
+                    throw new RpcError(ErrorCode.InvalidParams, `Invalid params: ${details}`, { errors });
+                }
+            }
+
+            const log = async (level, data) => context.log?.(level, name, data);
+            const started = Date.now();
+            try {
+                if (!tool) {
+                    throw new Error(`Unknown tool: ${name}`);
+                }
+                const { progressToken, notify } = context;
+                const sendProgress = async (progress, total, message) => {
+                    if (progressToken === undefined || !notify) return;
+                    await notify({
+                        method: 'notifications/progress',
+                        params: { progressToken, progress, total, message },
+                    });
+                };
+                const sample = async (params) => {
+                    if (!context.clientCapabilities?.sampling || !context.request) {
+                        throw new Error(`${name} needs a client that supports sampling (sampling/createMessage)`);
+                    }
+                    return context.request('sampling/createMessage', params);
+                };
+                // Ask the user through the client; resolves to the accepted
+                // content, checked against requestedSchema, and throws when
+                // the client cannot ask or the user declines
+                const elicit = async (message, requestedSchema) => {
+                    if (!context.clientCapabilities?.elicitation || !context.request) {
+                        throw new Error(`${name} needs input the client cannot ask for (no elicitation support): ${message}`);
+                    }
+                    const result = await context.request('elicitation/create', { message, requestedSchema });
+                    if (result.action !== 'accept') {
+                        throw new Error(`The user ${result.action === 'decline' ? 'declined' : 'cancelled'} the request for input: ${message}`);
+                    }
+                    const errors = validate(requestedSchema, result.content ?? {});
+                    if (errors.length > 0) {
+                        const details = errors.map((e) => `${e.path} ${e.message}`).join('; ');
+                        throw new Error(`Invalid input from the user: ${details}`);
+                    }
+                    return result.content;
+                };
+                const result = await tool.handler(args, { ...context, sendProgress, log, sample, elicit }, source);
+                await log(result.isError ? 'warning' : 'info', {
+                    message: result.isError ? 'Tool call failed' : 'Tool call succeeded',
+                    durationMs: Date.now() - started,
+                });
+                return result;
+            } catch (error) {
+                const durationMs = Date.now() - started;
+                if (context.signal?.aborted) {
+                    await log('info', { message: 'Tool call cancelled', durationMs });
+                } else {
+                    await log('error', { message: `Tool call failed: ${error.message}`, durationMs });
+                }
+                return { content: textContent(`Error: ${error.message}`), isError: true };
+            }
+        },
+
+        async listResources(cursor) {
+            const files = source.files ? await source.files.list() : [];
+            const resources = [...RESOURCES.map(describeResource), ...files.map(describeFile)];
+            return paginate(resources, cursor, pageSize, 'resources');
+        },
+
+        async listResourceTemplates(cursor) {
+            return paginate(RESOURCE_TEMPLATES.map(describeResourceTemplate), cursor, pageSize, 'resourceTemplates');
+        },
+
+        async readResource(uri) {
+            return readResource(source, uri);
+        },
+    };
+}
@@ -0,0 +1,139 @@
+/**
+ * Minimal JSON Schema validator shared by both servers.
+ *
+ * Supports the subset of draft 2020-12 the registry's schemas use: type,
+ * enum, const, properties, required, additionalProperties, items,
+ * minItems/maxItems, minLength/maxLength, pattern, minimum/maximum,
+ * exclusiveMinimum/exclusiveMaximum, anyOf, and oneOf. Code-generating
+ * validators such as Ajv are not an option because Workers forbid `eval`.
+ */
+
+function typeOf(value) {
+    if (value === null) return 'null';
+    if (Array.isArray(value)) return 'array';
+    return typeof value;
+}
+
+function matchesType(value, type) {
+    switch (type) {
+        case 'integer':
+            return Number.isInteger(value);
+        case 'number':
+            return typeof value === 'number' && Number.isFinite(value);
+        default:
+            return typeOf(value) === type;
+    }
+}
+
+// JSON Pointer for a path of keys, "/" for the root
+function pointer(path) {
+    return '/' + path.map(key => String(key).replace(/~/g, '~0').replace(/\//g, '~1')).join('/');
+}
+
+// Errors from each of `schemas`, one list per schema
+function branchErrors(schemas, value, path) {
+    return schemas.map(sub => {
+        const errors = [];
+        check(sub, value, path, errors);
+        return errors;
+    });
+}
+
+// After the combined failure, list why each branch failed, once per path and message
+function addBranchErrors(errors, branches) {
+    for (const error of branches.flat()) {
+        if (!errors.some(e => e.path === error.path && e.message === error.message)) errors.push(error);
+    }
+}
+
+function check(schema, value, path, errors) {
+    const fail = (message) => errors.push({ path: pointer(path), message });
+
+    if (schema.type !== undefined) {
+        const types = Array.isArray(schema.type) ? schema.type : [schema.type];
+        if (!types.some(type => matchesType(value, type))) {
+            fail(`must be ${types.join(' or ')}`);
+            // Further keywords would only produce noise about the wrong type
+            return;
+        }
+    }
+
+    if (schema.const !== undefined && value !== schema.const) {
+        fail(`must be ${JSON.stringify(schema.const)}`);
+    }
+    if (schema.enum && !schema.enum.includes(value)) {
+        fail(`must be one of: ${schema.enum.map(v => JSON.stringify(v)).join(', ')}`);
+    }
+
+    if (typeof value === 'string') {
+        if (schema.minLength !== undefined && [...value].length < schema.minLength) {
+            fail(`must be at least ${schema.minLength} characters`);
+        }
+        if (schema.maxLength !== undefined && [...value].length > schema.maxLength) {
+            fail(`must be at most ${schema.maxLength} characters`);
+        }
+        if (schema.pattern && !new RegExp(schema.pattern, 'u').test(value)) {
+            fail(`must match pattern ${schema.pattern}`);
+        }
+    }
+
+    if (typeof value === 'number') {
+        if (schema.minimum !== undefined && value < schema.minimum) fail(`must be >= ${schema.minimum}`);
+        if (schema.maximum !== undefined && value > schema.maximum) fail(`must be <= ${schema.maximum}`);
+        if (schema.exclusiveMinimum !== undefined && value <= schema.exclusiveMinimum) fail(`must be > ${schema.exclusiveMinimum}`);
+        if (schema.exclusiveMaximum !== undefined && value >= schema.exclusiveMaximum) fail(`must be < ${schema.exclusiveMaximum}`);
+    }
+
+    if (Array.isArray(value)) {
+        if (schema.minItems !== undefined && value.length < schema.minItems) fail(`must have at least ${schema.minItems} items`);
+        if (schema.maxItems !== undefined && value.length > schema.maxItems) fail(`must have at most ${schema.maxItems} items`);
+        if (schema.items) {
+            value.forEach((item, index) => check(schema.items, item, [...path, index], errors));
+        }
+    }
+
+    if (typeOf(value) === 'object') {
+        const properties = schema.properties || {};
+        for (const key of schema.required || []) {
+            if (!Object.hasOwn(value, key) || value[key] === undefined) {
+                errors.push({ path: pointer([...path, key]), message: 'is required' });
+            }
+        }
+        for (const [key, child] of Object.entries(value)) {
+            if (Object.hasOwn(properties, key)) {
+                check(properties[key], child, [...path, key], errors);
+            } else if (schema.additionalProperties === false) {
+                errors.push({ path: pointer([...path, key]), message: 'is not an allowed property' });
+            } else if (typeof schema.additionalProperties === 'object') {
+                check(schema.additionalProperties, child, [...path, key], errors);
+            }
+        }
+    }
+
+    if (schema.anyOf) {
+        const branches = branchErrors(schema.anyOf, value, path);
+        if (!branches.some(b => b.length === 0)) {
+            fail('must match at least one allowed schema');
+            addBranchErrors(errors, branches);
+        }
+    }
+    if (schema.oneOf) {
+        const branches = branchErrors(schema.oneOf, value, path);
+        const matching = branches.filter(b => b.length === 0).length;
+        if (matching !== 1) {
+            fail('must match exactly one allowed schema');
+            if (matching === 0) addBranchErrors(errors, branches);
+        }
+    }
+}
+
+/**
+ * Validate a value against a JSON Schema.
+ *
+ * @returns {{ path: string, message: string }[]} Every violation found; empty if valid
+ */
+export function validate(schema, value) {
+    const errors = [];
+    check(schema, value, [], errors);
+    return errors;
+}
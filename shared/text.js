@@ -0,0 +1,415 @@
+/**
+ * Text utilities behind the text tools: reverse-string, count-text,
+ * convert-case, slugify, diff-text, find-replace, and encode-text.
+ *
+ * Anything that counts, reverses, or splits characters works on grapheme
+ * clusters (what a reader sees as one character) through Intl.Segmenter,
+ * so emoji such as 👍🏽 or 👨‍👩‍👧 and letters with combining marks stay
+ * intact. Only standard web APIs and the pure-JavaScript RE2 engine are
+ * used, so the same code runs in Node.js and Workers.
+ */
+
+import { RE2JS } from 're2js';
+
+const graphemeSegmenter = new Intl.Segmenter(undefined, { granularity: 'grapheme' });
+const wordSegmenter = new Intl.Segmenter(undefined, { granularity: 'word' });
+const sentenceSegmenter = new Intl.Segmenter(undefined, { granularity: 'sentence' });
+
+// Rough LLM token estimate for English prose; real tokenizers vary by model
+const CHARACTERS_PER_TOKEN = 4;
+
+// Limits that keep diff-text and find-replace from eating the CPU or memory
+const MAX_DIFF_TOKENS = 10000;
+const MAX_DIFF_EDITS = 2000;
+const MAX_MATCHES = 1000;
+const REGEX_TIMEOUT_MS = 1000;
+
+export function graphemes(text) {
+    return Array.from(graphemeSegmenter.segment(text), (s) => s.segment);
+}
+
+function words(text) {
+    return Array.from(wordSegmenter.segment(text)).filter((s) => s.isWordLike).map((s) => s.segment);
+}
+
+// ==================== REVERSE AND COUNT ====================
+
+export function reverseText(text) {
+    return graphemes(text).reverse().join('');
+}
+
+/**
+ * Count characters (graphemes), code points, UTF-8 bytes, words, sentences,
+ * and lines, plus a rough token estimate.
+ */
+export function countText(text) {
+    const characters = graphemes(text).length;
+    const lines = text === '' ? 0 : text.split(/\r\n|\r|\n/).length - (/[\r\n]$/.test(text) ? 1 : 0);
+    return {
+        characters,
+        codePoints: [...text].length,
+        bytes: new TextEncoder().encode(text).length,
+        words: words(text).length,
+        sentences: Array.from(sentenceSegmenter.segment(text)).filter((s) => s.segment.trim()).length,
+        lines,
+        estimatedTokens: Math.ceil(characters / CHARACTERS_PER_TOKEN),
+    };
+}
+
+// ==================== CASE AND SLUGS ====================
+
+// Identifier-style words: splits on punctuation, spaces, and case changes,
+// so "XMLHttpRequest" is XML, Http, Request and "snake_case" is snake, case,
+// and trailing digits stay with their word ("v2", "HTTP2")
+const IDENTIFIER_WORD = /\p{Lu}[\p{Lu}\p{M}]*(?=\p{Lu}\p{Ll})|(?:\p{Lu}?[\p{Ll}\p{M}]+|\p{Lu}[\p{Lu}\p{M}]*|\p{Lt}[\p{Ll}\p{M}]*|[\p{Lo}\p{Lm}\p{M}]+)\p{N}*|\p{N}+/gu;
+
+// Lower-case a word and upper-case its first letter
+function capitalize(word) {
+    return word.toLowerCase().replace(/\p{L}/u, (letter) => letter.toUpperCase());
+}
+
+export const CASES = ['lower', 'upper', 'title', 'sentence', 'camel', 'pascal', 'snake', 'kebab', 'constant'];
+
+/**
+ * Convert `text` to one of CASES. lower, upper, title, and sentence keep
+ * the text's spacing and punctuation; the identifier cases rebuild it from
+ * its words.
+ */
+export function convertCase(text, style) {
+    const parts = () => text.match(IDENTIFIER_WORD) || [];
+    switch (style) {
+        case 'lower':
+            return text.toLowerCase();
+        case 'upper':
+            return text.toUpperCase();
+        case 'title':
+            return Array.from(wordSegmenter.segment(text), (s) => (s.isWordLike ? capitalize(s.segment) : s.segment)).join('');
+        case 'sentence':
+            // Capitalize after . ! or ? and whitespace; Intl.Segmenter won't
+            // start a sentence at a lower-case letter
+            return text.toLowerCase().replace(/(^|[.!?]\s+)(\P{L}*)(\p{L})/gu,
+                (match, before, gap, letter) => before + gap + letter.toUpperCase());
+        case 'camel':
+            return parts().map((word, i) => (i === 0 ? word.toLowerCase() : capitalize(word))).join('');
+        case 'pascal':
+            return parts().map(capitalize).join('');
+        case 'snake':
+            return parts().map((word) => word.toLowerCase()).join('_');
+        case 'kebab':
+            return parts().map((word) => word.toLowerCase()).join('-');
+        case 'constant':
+            return parts().map((word) => word.toUpperCase()).join('_');
+        default:
+            throw new Error(`Unknown case: ${style} (expected ${CASES.join(', ')})`);
+    }
+}
+
+/**
+ * URL slug: accents are stripped, apostrophes dropped, and every other run
+ * of non-alphanumerics becomes `separator`. Letters from other scripts are
+ * kept. `maxLength` (in characters) cuts at a word boundary where it can.
+ */
+export function slugify(text, { separator = '-', maxLength } = {}) {
+    const parts = text.normalize('NFKD').replace(/\p{M}/gu, '').replace(/['’]/g, '').toLowerCase()
+        .match(/[\p{L}\p{N}]+/gu) || [];
+
+    let slug = parts.join(separator);
+    if (maxLength !== undefined && graphemes(slug).length > maxLength) {
+        const cut = graphemes(slug).slice(0, maxLength).join('');
+        const boundary = cut.lastIndexOf(separator);
+        slug = boundary > 0 && separator ? cut.slice(0, boundary) : cut;
+    }
+    return slug;
+}
+
+// ==================== DIFF ====================
+
+export const DIFF_GRANULARITIES = ['line', 'word', 'character'];
+
+function diffTokens(text, granularity) {
+    switch (granularity) {
+        case 'line':
+            return text === '' ? [] : text.split(/(?<=\n)/);
+        case 'word':
+            return Array.from(wordSegmenter.segment(text), (s) => s.segment);
+        default:
+            return graphemes(text);
+    }
+}
+
+/**
+ * Myers' O(ND) diff of two token arrays, as a list of
+ * `[type, token]` edits where type is 'equal', 'delete', or 'insert'.
+ */
+function myers(a, b) {
+    const n = a.length;
+    const m = b.length;
+    const offset = n + m + 1;
+    const v = new Int32Array(2 * offset + 1);
+    // trace[d] holds v for diagonals -(d + 1)..d + 1 before round d
+    const trace = [];
+
+    let found = false;
+    for (let d = 0; d <= n + m && !found; d++) {
+        if (d > MAX_DIFF_EDITS) {
+            throw new Error(`Texts differ in more than ${MAX_DIFF_EDITS} places; try a coarser granularity`);
+        }
+        trace.push(v.slice(offset - d - 1, offset + d + 2));
+        for (let k = -d; k <= d; k += 2) {
+            let x = k === -d || (k !== d && v[offset + k - 1] < v[offset + k + 1])
+                ? v[offset + k + 1]
+                : v[offset + k - 1] + 1;
+            let y = x - k;
+            while (x < n && y < m && a[x] === b[y]) {
+                x++;
+                y++;
+            }
+            v[offset + k] = x;
+            if (x >= n && y >= m) {
+                found = true;
+                break;
+            }
+        }
+    }
+
+    const edits = [];
+    let x = n;
+    let y = m;
+    for (let d = trace.length - 1; d >= 0; d--) {
+        const at = (k) => trace[d][k + d + 1];
+        const k = x - y;
+        const prevK = k === -d || (k !== d && at(k - 1) < at(k + 1)) ? k + 1 : k - 1;
+        const prevX = at(prevK);
+        const prevY = prevX - prevK;
+        while (x > prevX && y > prevY) {
+            edits.push(['equal', a[--x]]);
+            y--;
+        }
+        if (d > 0) {
+            if (x === prevX) edits.push(['insert', b[--y]]);
+            else edits.push(['delete', a[--x]]);
+        }
+    }
+    return edits.reverse();
+}
+
+/**
+ * Diff two strings by line, word, or character.
+ *
+ * @returns {{ changes: { type: string, value: string }[], insertions: number, deletions: number }}
+ *   `changes` merges neighbouring tokens of the same type; the counts are in tokens
+ * @throws {Error} If the texts are too long or too different to diff
+ */
+export function diffText(before, after, granularity = 'line') {
+    const a = diffTokens(before, granularity);
+    const b = diffTokens(after, granularity);
+    if (a.length > MAX_DIFF_TOKENS || b.length > MAX_DIFF_TOKENS) {
+        throw new Error(`Texts have more than ${MAX_DIFF_TOKENS} ${granularity}s; try a coarser granularity`);
+    }
+
+    // Common ends are cheap to strip and often most of the text
+    let start = 0;
+    while (start < a.length && start < b.length && a[start] === b[start]) start++;
+    let end = 0;
+    while (end < a.length - start && end < b.length - start && a[a.length - 1 - end] === b[b.length - 1 - end]) end++;
+
+    const edits = [
+        ...a.slice(0, start).map((token) => ['equal', token]),
+        ...myers(a.slice(start, a.length - end), b.slice(start, b.length - end)),
+        ...a.slice(a.length - end).map((token) => ['equal', token]),
+    ];
+
+    const changes = [];
+    let insertions = 0;
+    let deletions = 0;
+    for (const [type, token] of edits) {
+        if (type === 'insert') insertions++;
+        if (type === 'delete') deletions++;
+        const last = changes[changes.length - 1];
+        if (last && last.type === type) last.value += token;
+        else changes.push({ type, value: token });
+    }
+    return { changes, insertions, deletions };
+}
+
+/**
+ * Render diff changes as text: unified-style `+`/`-` lines for line diffs,
+ * `[-removed-]{+added+}` markers inline otherwise.
+ */
+export function formatDiff(changes, granularity = 'line') {
+    if (granularity !== 'line') {
+        return changes.map(({ type, value }) => {
+            if (type === 'delete') return `[-${value}-]`;
+            if (type === 'insert') return `{+${value}+}`;
+            return value;
+        }).join('');
+    }
+
+    const prefixes = { equal: ' ', delete: '-', insert: '+' };
+    return changes.flatMap(({ type, value }) => {
+        return value.split(/(?<=\n)/).map((line) => `${prefixes[type]} ${line.replace(/\r?\n$/, '')}`);
+    }).join('\n');
+}
+
+// ==================== FIND AND REPLACE ====================
+
+// RE2 flags for the JavaScript flags find-replace accepts. Matching is
+// always global, and always by code point as with `u`
+const PATTERN_FLAGS = { g: 0, i: RE2JS.CASE_INSENSITIVE, m: RE2JS.MULTILINE, s: RE2JS.DOTALL, u: 0 };
+
+/**
+ * Compile a JavaScript-style regular expression for RE2, which matches in
+ * time linear in the input, so no pattern can backtrack catastrophically.
+ * The price is that backreferences and lookaround are not supported.
+ *
+ * @param {string} [flags] Any of g, i, m, s, u
+ * @throws {SyntaxError} For an invalid or unsupported pattern
+ */
+export function compilePattern(pattern, flags = '') {
+    let bits = 0;
+    for (const flag of flags) {
+        if (!Object.hasOwn(PATTERN_FLAGS, flag)) {
+            throw new SyntaxError(`Invalid flag: ${flag}`);
+        }
+        bits |= PATTERN_FLAGS[flag];
+    }
+    try {
+        return RE2JS.compile(RE2JS.translateRegExp(pattern), bits);
+    } catch (error) {
+        throw new SyntaxError(error.message);
+    }
+}
+
+// Expand $&, $1, $<name>, and friends in `replacement` for one match, as
+// String.prototype.replace does
+function expandReplacement(replacement, match, input) {
+    const captures = match.length - 1;
+    return replacement.replace(/\$([$&`']|\d\d?|<([^>]*)>)/g, (token, code, name) => {
+        if (code === '$') return '$';
+        if (code === '&') return match[0];
+        if (code === '`') return input.slice(0, match.index);
+        if (code === "'") return input.slice(match.index + match[0].length);
+        if (name !== undefined) return match.groups ? match.groups[name] ?? '' : token;
+
+        if (code.length === 2 && Number(code) > captures) {
+            const single = Number(code[0]);
+            return single >= 1 && single <= captures ? (match[single] ?? '') + code[1] : token;
+        }
+        const index = Number(code);
+        return index >= 1 && index <= captures ? match[index] ?? '' : token;
+    });
+}
+
+/**
+ * Find every match of `pattern` in `text`, replacing them if `replacement`
+ * is given. Each match takes linear time (see compilePattern), and matching
+ * stops with an error once it has run for longer than REGEX_TIMEOUT_MS.
+ *
+ * @returns {{ count: number, matches: object[], truncated: boolean, result?: string }}
+ *   `matches` lists the first MAX_MATCHES as `{ match, index, groups? }`,
+ *   with `index` in UTF-16 code units
+ * @throws {SyntaxError} For an invalid pattern
+ * @throws {Error} On timeout
+ */
+export function findReplace(text, pattern, { flags = '', replacement } = {}) {
+    const regex = compilePattern(pattern, flags);
+    const deadline = Date.now() + REGEX_TIMEOUT_MS;
+
+    const matches = [];
+    let count = 0;
+    let result = '';
+    let last = 0;
+    for (const match of regex.matchAll(text)) {
+        if (Date.now() > deadline) {
+            throw new Error(`Pattern took longer than ${REGEX_TIMEOUT_MS} ms`);
+        }
+        count++;
+        if (matches.length < MAX_MATCHES) {
+            const entry = { match: match[0], index: match.index };
+            if (match.groups) entry.groups = { ...match.groups };
+            matches.push(entry);
+        }
+        if (replacement !== undefined) {
+            result += text.slice(last, match.index) + expandReplacement(replacement, match, text);
+            last = match.index + match[0].length;
+        }
+    }
+
+    const found = { count, matches, truncated: count > matches.length };
+    if (replacement !== undefined) found.result = result + text.slice(last);
+    return found;
+}
+
+// ==================== ENCODING ====================
+
+export const ENCODINGS = ['base64', 'base64url', 'hex', 'url'];
+
+function bytesToBase64(bytes) {
+    let binary = '';
+    for (const byte of bytes) binary += String.fromCharCode(byte);
+    return btoa(binary);
+}
+
+function base64ToBytes(text) {
+    const base64 = text.replace(/\s+/g, '');
+    if (!/^[A-Za-z0-9+/]*={0,2}$/.test(base64) || base64.length % 4 === 1) {
+        throw new Error('Input is not valid base64');
+    }
+    return Uint8Array.from(atob(base64), (char) => char.charCodeAt(0));
+}
+
+function bytesToText(bytes) {
+    try {
+        return new TextDecoder('utf-8', { fatal: true }).decode(bytes);
+    } catch (error) {
+        throw new Error('Decoded bytes are not valid UTF-8 text');
+    }
+}
+
+/**
+ * Encode UTF-8 `text` as base64, base64url, hex, or percent-encoding.
+ */
+export function encodeText(text, encoding) {
+    const bytes = new TextEncoder().encode(text);
+    switch (encoding) {
+        case 'base64':
+            return bytesToBase64(bytes);
+        case 'base64url':
+            return bytesToBase64(bytes).replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+        case 'hex':
+            return Array.from(bytes, (byte) => byte.toString(16).padStart(2, '0')).join('');
+        case 'url':
+            return encodeURIComponent(text);
+        default:
+            throw new Error(`Unknown encoding: ${encoding} (expected ${ENCODINGS.join(', ')})`);
+    }
+}
+
+/**
+ * Decode text produced by encodeText() back to a string.
+ *
+ * @throws {Error} If the input is malformed or does not decode to UTF-8
+ */
+export function decodeText(text, encoding) {
+    switch (encoding) {
+        case 'base64':
+            return bytesToText(base64ToBytes(text));
+        case 'base64url':
+            return bytesToText(base64ToBytes(text.replace(/-/g, '+').replace(/_/g, '/')));
+        case 'hex': {
+            const hex = text.replace(/\s+/g, '');
+            if (!/^(?:[0-9a-fA-F]{2})*$/.test(hex)) {
+                throw new Error('Input is not valid hex');
+            }
+            return bytesToText(Uint8Array.from(hex.match(/../g) || [], (pair) => parseInt(pair, 16)));
+        }
+        case 'url':
+            try {
+                return decodeURIComponent(text.replace(/\+/g, ' '));
+            } catch (error) {
+                throw new Error('Input is not valid percent-encoding');
+            }
+        default:
+            throw new Error(`Unknown encoding: ${encoding} (expected ${ENCODINGS.join(', ')})`);
+    }
+}
@@ -0,0 +1,219 @@
+/**
+ * Weather providers behind the get-weather tool.
+ *
+ * A provider has a `name` and a `forecast(city, days, { signal })` method,
+ * where `signal` optionally cancels the lookup, resolving to
+ *
+ *     {
+ *         city: 'Dhaka',
+ *         current: { condition: 'Sunny', temperatureC: 31.2 },
+ *         daily: [{ date: '2026-10-19', condition: 'Sunny', highC: 33.5, lowC: 27.1 }, ...],
+ *         simulated: true,
+ *     }
+ *
+ * Two backends are available:
+ * - `fixture` (default): offline data generated from a JSON dataset
+ *   (resources/weather.json) with a generator seeded by the city name, so a
+ *   city always gets the same weather.
+ * - `open-meteo`: live data from the Open-Meteo API. Both of its base URLs
+ *   are configurable, e.g. to point them at a local stub.
+ */
+
+export const DEFAULT_OPEN_METEO_URL = 'https://api.open-meteo.com';
+export const DEFAULT_GEOCODING_URL = 'https://geocoding-api.open-meteo.com';
+
+// Upstream requests taking longer than this fail the tool call
+const REQUEST_TIMEOUT_MS = 10000;
+
+function round1(value) {
+    return Math.round(value * 10) / 10;
+}
+
+// ISO date `offset` days from today (UTC)
+function isoDate(offset) {
+    const date = new Date();
+    date.setUTCDate(date.getUTCDate() + offset);
+    return date.toISOString().slice(0, 10);
+}
+
+// 32-bit FNV-1a hash of a string
+function hashString(text) {
+    let hash = 0x811c9dc5;
+    for (let i = 0; i < text.length; i++) {
+        hash ^= text.charCodeAt(i);
+        hash = Math.imul(hash, 0x01000193);
+    }
+    return hash >>> 0;
+}
+
+// mulberry32: small seeded generator returning floats in [0, 1)
+function seededRandom(seed) {
+    let state = seed >>> 0;
+    return () => {
+        state = (state + 0x6d2b79f5) >>> 0;
+        let t = state;
+        t = Math.imul(t ^ (t >>> 15), t | 1);
+        t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    };
+}
+
+/**
+ * Offline provider generating weather from a dataset of per-city climates:
+ *
+ *     {
+ *         "default": { "meanC": 18, "swingC": 8, "conditions": ["Sunny", "Cloudy"] },
+ *         "cities": { "dhaka": { "name": "Dhaka", "meanC": 29, "swingC": 5, "conditions": [...] } }
+ *     }
+ *
+ * Cities missing from the dataset use `default`. Each day's weather is
+ * seeded by the city name and day offset, never by the clock.
+ *
+ * @param {() => Promise<object>} loadDataset
+ */
+export function createFixtureWeather(loadDataset) {
+    return {
+        name: 'fixture',
+
+        async forecast(city, days) {
+            const dataset = await loadDataset();
+            const key = city.trim().toLowerCase();
+            const climate = Object.hasOwn(dataset.cities, key) ? dataset.cities[key] : dataset.default;
+
+            const daily = [];
+            let current;
+            for (let day = 0; day < days; day++) {
+                const random = seededRandom(hashString(`${key}#${day}`));
+                const condition = climate.conditions[Math.floor(random() * climate.conditions.length)];
+                const midC = climate.meanC + (random() * 2 - 1) * climate.swingC;
+                daily.push({
+                    date: isoDate(day),
+                    condition,
+                    highC: round1(midC + 2 + random() * 3),
+                    lowC: round1(midC - 2 - random() * 3),
+                });
+                if (day === 0) current = { condition, temperatureC: round1(midC) };
+            }
+
+            return { city: climate.name || city, current, daily, simulated: true };
+        },
+    };
+}
+
+// WMO weather interpretation codes, as used by Open-Meteo
+const WMO_CONDITIONS = {
+    0: 'Clear',
+    1: 'Mostly Clear',
+    2: 'Partly Cloudy',
+    3: 'Cloudy',
+    45: 'Fog',
+    48: 'Fog',
+    51: 'Drizzle',
+    53: 'Drizzle',
+    55: 'Drizzle',
+    56: 'Freezing Drizzle',
+    57: 'Freezing Drizzle',
+    61: 'Rainy',
+    63: 'Rainy',
+    65: 'Heavy Rain',
+    66: 'Freezing Rain',
+    67: 'Freezing Rain',
+    71: 'Snow',
+    73: 'Snow',
+    75: 'Heavy Snow',
+    77: 'Snow',
+    80: 'Showers',
+    81: 'Showers',
+    82: 'Heavy Showers',
+    85: 'Snow Showers',
+    86: 'Snow Showers',
+    95: 'Thunderstorms',
+    96: 'Thunderstorms',
+    99: 'Thunderstorms',
+};
+
+function wmoCondition(code) {
+    return WMO_CONDITIONS[code] || 'Unknown';
+}
+
+/**
+ * Live provider backed by the Open-Meteo geocoding and forecast APIs.
+ *
+ * @param {{ baseUrl?: string, geocodingUrl?: string, fetch?: typeof fetch }} [options]
+ */
+export function createOpenMeteoWeather({
+    baseUrl = DEFAULT_OPEN_METEO_URL,
+    geocodingUrl = DEFAULT_GEOCODING_URL,
+    fetch = globalThis.fetch,
+} = {}) {
+    async function getJson(url, signal) {
+        const timeout = AbortSignal.timeout(REQUEST_TIMEOUT_MS);
+        const response = await fetch(url, { signal: signal ? AbortSignal.any([timeout, signal]) : timeout });
+        if (!response.ok) {
+            throw new Error(`Weather service returned ${response.status} for ${url.pathname}`);
+        }
+        return response.json();
+    }
+
+    return {
+        name: 'open-meteo',
+
+        async forecast(city, days, { signal } = {}) {
+            const searchUrl = new URL('/v1/search', geocodingUrl);
+            searchUrl.search = new URLSearchParams({ name: city, count: '1', language: 'en', format: 'json' });
+            const [place] = (await getJson(searchUrl, signal)).results || [];
+            if (!place) {
+                throw new Error(`City not found: ${city}`);
+            }
+
+            const forecastUrl = new URL('/v1/forecast', baseUrl);
+            forecastUrl.search = new URLSearchParams({
+                latitude: String(place.latitude),
+                longitude: String(place.longitude),
+                current: 'temperature_2m,weather_code',
+                daily: 'weather_code,temperature_2m_max,temperature_2m_min',
+                forecast_days: String(days),
+                timezone: 'auto',
+            });
+            const data = await getJson(forecastUrl, signal);
+
+            return {
+                city: place.name,
+                current: {
+                    condition: wmoCondition(data.current.weather_code),
+                    temperatureC: data.current.temperature_2m,
+                },
+                daily: data.daily.time.map((date, i) => ({
+                    date,
+                    condition: wmoCondition(data.daily.weather_code[i]),
+                    highC: data.daily.temperature_2m_max[i],
+                    lowC: data.daily.temperature_2m_min[i],
+                })),
+                simulated: false,
+            };
+        },
+    };
+}
+
+/**
+ * Create the provider selected by `backend`.
+ *
+ * @param {{ backend?: string, loadDataset?: () => Promise<object>, baseUrl?: string, geocodingUrl?: string }} options
+ *   `loadDataset` is required for the fixture backend
+ * @throws {Error} For an unknown backend
+ */
+export function createWeatherProvider({ backend = 'fixture', loadDataset, baseUrl, geocodingUrl } = {}) {
+    switch (backend) {
+        case 'fixture':
+            return createFixtureWeather(loadDataset);
+        case 'open-meteo':
+            return createOpenMeteoWeather({ baseUrl: baseUrl || undefined, geocodingUrl: geocodingUrl || undefined });
+        default:
+            throw new Error(`Unknown weather backend: ${backend} (expected fixture or open-meteo)`);
+    }
+}
+
+// Convert a Celsius temperature to the requested units ('C' or 'F')
+export function convertTemperature(celsius, units) {
+    return units === 'F' ? round1(celsius * 9 / 5 + 32) : celsius;
+}